@@ -1,13 +1,22 @@
-from fastapi import FastAPI, APIRouter, HTTPException
+from fastapi import FastAPI, APIRouter, HTTPException, Depends, File, UploadFile
+from fastapi.security import HTTPBearer, HTTPAuthorizationCredentials
+from fastapi.encoders import jsonable_encoder
+from fastapi.staticfiles import StaticFiles
 from dotenv import load_dotenv
 from starlette.middleware.cors import CORSMiddleware
 from motor.motor_asyncio import AsyncIOMotorClient
 import os
 import logging
+import uuid
+import colorsys
+import hashlib
+import re
+import secrets
+import bcrypt
 from pathlib import Path
 from pydantic import BaseModel, Field, ConfigDict
-from typing import List, Optional
-from datetime import datetime, timezone
+from typing import Dict, List, Literal, Optional
+from datetime import datetime, timezone, timedelta
 
 ROOT_DIR = Path(__file__).parent
 load_dotenv(ROOT_DIR / '.env')
@@ -17,55 +26,396 @@ mongo_url = os.environ['MONGO_URL']
 client = AsyncIOMotorClient(mongo_url)
 db = client[os.environ['DB_NAME']]
 
+# Uploaded cover images live on local disk and are served from /api/covers
+COVERS_DIR = Path(os.environ.get('COVERS_DIR', ROOT_DIR / 'uploads' / 'covers'))
+COVERS_DIR.mkdir(parents=True, exist_ok=True)
+COVER_TYPES = {"image/jpeg": ".jpg", "image/png": ".png", "image/webp": ".webp"}
+# Clients shrink covers to thumbnails first, so this is only a backstop
+MAX_COVER_BYTES = 2 * 1024 * 1024
+
 # Create the main app without a prefix
 app = FastAPI()
 
-# Create a router with the /api prefix
-api_router = APIRouter(prefix="/api")
-
 # Define Models
+def new_id() -> str:
+    return str(uuid.uuid4())
+
+def today() -> str:
+    return datetime.now(timezone.utc).date().isoformat()
+
+class Reading(BaseModel):
+    status: str = "To Read"  # "To Read" | "Reading" | "Completed"
+    rating: Optional[float] = None
+    # YYYY-MM-DD; filled in on status changes, and editable
+    started_at: Optional[str] = None
+    finished_at: Optional[str] = None
+
+READING_DATE_FIELDS = ('started_at', 'finished_at')
+DATE_PATTERN = r"^\d{4}-\d{2}-\d{2}$"
+
+def dates_for_status(reading: dict, status: str, day: str) -> dict:
+    # Starting keeps an earlier start, finishing records the day, and going
+    # back to the shelf forgets both
+    if status == "Reading":
+        return {'started_at': reading.get('started_at') or day, 'finished_at': None}
+    if status == "Completed":
+        return {'started_at': reading.get('started_at'), 'finished_at': day}
+    return {'started_at': None, 'finished_at': None}
+
+class StatusChange(BaseModel):
+    user_id: str
+    status: str
+    changed_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+
+class ProgressEntry(BaseModel):
+    id: str = Field(default_factory=new_id)
+    user_id: str
+    date: str  # YYYY-MM-DD, the day the reading happened
+    # How far the reader got, as logged: a page or a percentage
+    page: Optional[int] = None
+    percent: Optional[float] = None
+    note: str = ""
+    created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+
 class Book(BaseModel):
     model_config = ConfigDict(extra="ignore")
     
+    id: str = Field(default_factory=new_id)
     title: str
-    status: str  # "To Read" | "Reading" | "Completed"
-    rating: float
+    readings: Dict[str, Reading] = {}  # keyed by user id
+    history: List[StatusChange] = []  # every reader's status changes, oldest first
+    progress: List[ProgressEntry] = []  # every reader's sessions, as logged
+    authors: List[str] = []
+    pages: Optional[int] = None
+    genres: List[str] = []
+    isbn: Optional[str] = None
+    year: Optional[int] = None  # of publication
+    cover_url: Optional[str] = None
     number: int
     created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    updated_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+
+# Descriptive fields shared by every reader; unlike the rest of a book they
+# can be cleared by sending null.
+BOOK_METADATA_FIELDS = ('authors', 'pages', 'genres', 'isbn', 'year', 'cover_url')
 
-class BookCreate(BaseModel):
+class BookMetadata(BaseModel):
+    authors: Optional[List[str]] = None
+    pages: Optional[int] = Field(None, ge=1)
+    genres: Optional[List[str]] = None
+    isbn: Optional[str] = None
+    year: Optional[int] = None
+    cover_url: Optional[str] = None
+
+class BookCreate(BookMetadata):
+    id: Optional[str] = None  # set by clients that created the book offline
     title: str
-    status: str
-    rating: float
+    status: str  # the creator's own reading
+    rating: Optional[float] = None
 
-class BookUpdate(BaseModel):
+class BookImport(BookCreate):
+    # From another app's export; only the dates it had are kept
+    started_at: Optional[str] = Field(None, pattern=DATE_PATTERN)
+    finished_at: Optional[str] = Field(None, pattern=DATE_PATTERN)
+
+class BookBulkCreate(BaseModel):
+    books: List[BookImport] = Field(max_length=1000)
+
+class BookUpdate(BookMetadata):
     title: Optional[str] = None
+    # status and rating update the signed-in reader's own reading; a null
+    # rating clears it
     status: Optional[str] = None
     rating: Optional[float] = None
+    # Sent to correct the dates; null clears one
+    started_at: Optional[str] = Field(None, pattern=DATE_PATTERN)
+    finished_at: Optional[str] = Field(None, pattern=DATE_PATTERN)
+    base_updated_at: Optional[datetime] = None  # see check_version()
+
+class ProgressCreate(BaseModel):
+    id: Optional[str] = None  # set by clients that logged it offline
+    date: str = Field(pattern=DATE_PATTERN)
+    page: Optional[int] = Field(None, ge=0)
+    percent: Optional[float] = Field(None, ge=0, le=100)
+    note: str = ""
+
+def progress_percent(entry: dict, pages: Optional[int]) -> Optional[float]:
+    # Pages only count towards a percentage once the book's length is known
+    if entry.get('percent') is not None:
+        return entry['percent']
+    if entry.get('page') is not None and pages:
+        return min(100.0, entry['page'] / pages * 100)
+    return None
+
+class BookReorder(BaseModel):
+    book_ids: List[str]  # every book id, in the desired reading order
+
+def generate_color(seed: str) -> str:
+    # Stable, evenly saturated accent color derived from the seed
+    hue = int(hashlib.sha1(seed.encode()).hexdigest()[:8], 16) % 360
+    r, g, b = colorsys.hls_to_rgb(hue / 360, 0.75, 0.6)
+    return "#{:02x}{:02x}{:02x}".format(round(r * 255), round(g * 255), round(b * 255))
+
+class User(BaseModel):
+    model_config = ConfigDict(extra="ignore")
+    
+    id: str = Field(default_factory=new_id)
+    name: str
+    username: Optional[str] = None  # None until the reader has a login
+    color: str = ""
+    avatar_url: Optional[str] = None
+    created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+
+class UserCreate(BaseModel):
+    name: str
+    color: Optional[str] = None
+    avatar_url: Optional[str] = None
+
+class UserUpdate(BaseModel):
+    name: Optional[str] = None
+    color: Optional[str] = None
+    avatar_url: Optional[str] = None
 
 class Quote(BaseModel):
     model_config = ConfigDict(extra="ignore")
     
+    id: str = Field(default_factory=new_id)
+    book_id: Optional[str] = None  # None for legacy quotes whose book is gone
     book_title: str
     text: str
-    user_id: int  # 1 or 2
+    user_id: Optional[str] = None  # None for the blank placeholder quote
     discussion: str = ""
     created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    updated_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
 
 class QuoteCreate(BaseModel):
-    book_title: str
+    id: Optional[str] = None  # set by clients that created the quote offline
+    book_id: str
     text: str
-    user_id: int
     discussion: str = ""
 
 class QuoteUpdate(BaseModel):
     text: Optional[str] = None
     discussion: Optional[str] = None
+    base_updated_at: Optional[datetime] = None  # see check_version()
+
+class Goal(BaseModel):
+    model_config = ConfigDict(extra="ignore")
+    
+    id: str = Field(default_factory=new_id)
+    user_id: str
+    year: int
+    target: int  # books to finish in the year
+    monthly_target: Optional[int] = None  # books to finish in each month of it
+    created_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    updated_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+
+class GoalSet(BaseModel):
+    target: int = Field(ge=1, le=10000)
+    monthly_target: Optional[int] = Field(None, ge=1, le=1000)
+
+class BookWithQuotes(BaseModel):
+    book_id: Optional[str] = None
+    book_title: str
+
+class Credentials(BaseModel):
+    username: str
+    password: str
+
+class RegisterRequest(Credentials):
+    name: Optional[str] = None
+    user_id: Optional[str] = None  # claim an existing reader instead of creating one
+
+class AuthSession(BaseModel):
+    token: str
+    user: User
+
+class AuthSetup(BaseModel):
+    needs_setup: bool
+    unclaimed_users: List[User]
+
+# 2 added goals, reading dates and progress; version 1 files import with
+# none of them
+EXPORT_VERSION = 2
+
+class CoverUpload(BaseModel):
+    url: str  # relative to the backend, e.g. /api/covers/<id>.jpg
+
+class LibraryExport(BaseModel):
+    # Also written by the frontend's in-browser data source, so the two can
+    # swap data; bump EXPORT_VERSION when the shape changes.
+    version: int = EXPORT_VERSION
+    exported_at: datetime = Field(default_factory=lambda: datetime.now(timezone.utc))
+    books: List[Book] = []
+    quotes: List[Quote] = []
+    users: List[User] = []
+    goals: List[Goal] = []
+
+class ImportResult(BaseModel):
+    books: int
+    quotes: int
+    users: int
+    goals: int = 0
+    removed: int = 0  # records dropped by a replace
+
+def check_version(doc: dict, base_updated_at: Optional[datetime]):
+    # Offline clients send the version they edited; if the record changed on
+    # the server since then, refuse instead of silently overwriting it.
+    if base_updated_at is None or not doc.get('updated_at'):
+        return
+    current = doc['updated_at']
+    if isinstance(current, str):
+        current = datetime.fromisoformat(current)
+    if current != base_updated_at:
+        raise HTTPException(
+            status_code=409,
+            detail={"message": "Changed on the server since it was edited", "current": jsonable_encoder(doc)},
+        )
+
+# Authentication
+SESSION_TTL = timedelta(days=int(os.environ.get('SESSION_TTL_DAYS', '30')))
+USERNAME_PATTERN = re.compile(r"^[a-z0-9_.-]{3,32}$")
+MIN_PASSWORD_LENGTH = 8
+
+bearer_scheme = HTTPBearer(auto_error=False)
+
+def hash_password(password: str) -> str:
+    return bcrypt.hashpw(password.encode(), bcrypt.gensalt()).decode()
+
+def verify_password(password: str, password_hash: str) -> bool:
+    return bcrypt.checkpw(password.encode(), password_hash.encode())
+
+def hash_token(token: str) -> str:
+    # Only token hashes are stored, so a leaked sessions collection is useless
+    return hashlib.sha256(token.encode()).hexdigest()
+
+def validate_credentials(input: Credentials) -> str:
+    username = input.username.strip().lower()
+    if not USERNAME_PATTERN.match(username):
+        raise HTTPException(status_code=400, detail="Username must be 3-32 characters: letters, digits, '.', '_' or '-'")
+    if len(input.password) < MIN_PASSWORD_LENGTH:
+        raise HTTPException(status_code=400, detail=f"Password must be at least {MIN_PASSWORD_LENGTH} characters")
+    return username
+
+async def has_accounts() -> bool:
+    return await db.users.find_one({"username": {"$type": "string"}}, {"_id": 1}) is not None
+
+async def create_session(user: dict) -> AuthSession:
+    token = secrets.token_urlsafe(32)
+    now = datetime.now(timezone.utc)
+    await db.sessions.insert_one({
+        'token_hash': hash_token(token),
+        'user_id': user['id'],
+        'created_at': now,
+        'expires_at': now + SESSION_TTL,
+    })
+    return AuthSession(token=token, user=User(**user))
+
+async def get_optional_user(
+    credentials: Optional[HTTPAuthorizationCredentials] = Depends(bearer_scheme),
+) -> Optional[User]:
+    if credentials is None:
+        return None
+    
+    session = await db.sessions.find_one({"token_hash": hash_token(credentials.credentials)}, {"_id": 0})
+    if not session:
+        return None
+    if session['expires_at'].replace(tzinfo=timezone.utc) < datetime.now(timezone.utc):
+        return None
+    
+    user = await db.users.find_one({"id": session['user_id']}, {"_id": 0, "password_hash": 0})
+    return User(**user) if user else None
+
+async def get_current_user(user: Optional[User] = Depends(get_optional_user)) -> User:
+    if user is None:
+        raise HTTPException(
+            status_code=401,
+            detail="Not authenticated",
+            headers={"WWW-Authenticate": "Bearer"},
+        )
+    return user
+
+# Auth endpoints are public; everything under api_router requires a session
+auth_router = APIRouter(prefix="/api/auth")
+api_router = APIRouter(prefix="/api", dependencies=[Depends(get_current_user)])
+
+@auth_router.get("/setup", response_model=AuthSetup)
+async def get_auth_setup():
+    if await has_accounts():
+        return AuthSetup(needs_setup=False, unclaimed_users=[])
+    
+    users = await db.users.find({}, {"_id": 0, "password_hash": 0}).to_list(None)
+    return AuthSetup(needs_setup=True, unclaimed_users=users)
+
+# Only used to create the very first account; later logins are added by
+# signed-in readers through PUT /users/{user_id}/credentials.
+@auth_router.post("/register", response_model=AuthSession)
+async def register(input: RegisterRequest):
+    if await has_accounts():
+        raise HTTPException(status_code=403, detail="Registration is closed, ask a reader to create your login")
+    
+    username = validate_credentials(input)
+    
+    if input.user_id:
+        user = await db.users.find_one({"id": input.user_id}, {"_id": 0})
+        if not user:
+            raise HTTPException(status_code=404, detail="User not found")
+    else:
+        user = await create_user(UserCreate(name=(input.name or username).strip()))
+        user = user.model_dump()
+    
+    await db.users.update_one(
+        {"id": user['id']},
+        {"$set": {"username": username, "password_hash": hash_password(input.password)}}
+    )
+    user['username'] = username
+    return await create_session(user)
+
+@auth_router.post("/login", response_model=AuthSession)
+async def login(input: Credentials):
+    user = await db.users.find_one({"username": input.username.strip().lower()}, {"_id": 0})
+    
+    # Readers without a login have no password hash to check against
+    if not user or not user.get('password_hash') or not verify_password(input.password, user['password_hash']):
+        raise HTTPException(status_code=401, detail="Invalid username or password")
+    
+    return await create_session(user)
+
+@auth_router.post("/logout")
+async def logout(
+    credentials: Optional[HTTPAuthorizationCredentials] = Depends(bearer_scheme),
+):
+    if credentials is not None:
+        await db.sessions.delete_one({"token_hash": hash_token(credentials.credentials)})
+    return {"message": "Logged out"}
+
+@auth_router.get("/me", response_model=User)
+async def get_me(current_user: User = Depends(get_current_user)):
+    return current_user
 
 # Books endpoints
+def book_document(book: Book) -> dict:
+    doc = book.model_dump()
+    doc['created_at'] = doc['created_at'].isoformat()
+    doc['updated_at'] = doc['updated_at'].isoformat()
+    doc['history'] = jsonable_encoder(book.history)
+    return doc
+
+def blank_quote(book: Book) -> dict:
+    return {
+        'id': new_id(),
+        'book_id': book.id,
+        'book_title': book.title,
+        'text': '',  # Start with empty text, you can edit later in frontend
+        'user_id': None,
+        'discussion': "",
+        'created_at': datetime.now(timezone.utc).isoformat(),
+        'updated_at': datetime.now(timezone.utc).isoformat(),
+    }
+
 @api_router.get("/books", response_model=List[Book])
 async def get_books():
-    books = await db.books.find({}, {"_id": 0}).to_list(1000)
+    books = await db.books.find({}, {"_id": 0}).to_list(None)
     for book in books:
         if isinstance(book.get('created_at'), str):
             book['created_at'] = datetime.fromisoformat(book['created_at'])
@@ -74,113 +424,412 @@ async def get_books():
     return books
 
 @api_router.post("/books", response_model=Book)
-async def create_book(input: BookCreate):
+async def create_book(input: BookCreate, current_user: User = Depends(get_current_user)):
+    # Replaying a queued offline create must not duplicate the book
+    if input.id:
+        existing = await db.books.find_one({"id": input.id}, {"_id": 0})
+        if existing:
+            return existing
+    
     # Get the highest number
-    existing_books = await db.books.find({}, {"_id": 0, "number": 1}).to_list(1000)
+    existing_books = await db.books.find({}, {"_id": 0, "number": 1}).to_list(None)
     max_number = max([b.get('number', 0) for b in existing_books], default=0)
     
-    book_dict = input.model_dump()
-    book_dict['number'] = max_number + 1
-    book_obj = Book(**book_dict)
+    book_obj = Book(
+        id=input.id or new_id(),
+        title=input.title,
+        readings={current_user.id: Reading(
+            status=input.status,
+            rating=input.rating,
+            **dates_for_status({}, input.status, today()),
+        )},
+        history=[StatusChange(user_id=current_user.id, status=input.status)],
+        number=max_number + 1,
+        **input.model_dump(include=set(BOOK_METADATA_FIELDS), exclude_none=True),
+    )
     
-    doc = book_obj.model_dump()
-    doc['created_at'] = doc['created_at'].isoformat()
+    await db.books.insert_one(book_document(book_obj))
+    # Every book starts with a blank quote so it gets a quote card
+    await db.quotes.insert_one(blank_quote(book_obj))
     
-    await db.books.insert_one(doc)
+    return book_obj
 
-    # --- This code auto-creates a blank quote for that book ---
-    blank_quote = {
-        'book_title': book_obj.title,
-        'text': '',  # Start with empty text, you can edit later in frontend
-        'user_id': 1,  # Or whatever your logic/user system is
-        'discussion': "",
-        'created_at': datetime.now(timezone.utc).isoformat()
-    }
-    await db.quotes.insert_one(blank_quote)
-    # ---
+@api_router.post("/books/bulk", response_model=List[Book])
+async def create_books(input: BookBulkCreate, current_user: User = Depends(get_current_user)):
+    # As with single creates, books whose id is already taken were sent
+    # before and are skipped
+    ids = [item.id for item in input.books if item.id]
+    taken = await db.books.find({"id": {"$in": ids}}, {"_id": 0, "id": 1}).to_list(None)
+    taken_ids = {b['id'] for b in taken}
+    existing_books = await db.books.find({}, {"_id": 0, "number": 1}).to_list(None)
+    number = max([b.get('number', 0) for b in existing_books], default=0)
     
-    return book_obj
+    created = []
+    for item in input.books:
+        if item.id in taken_ids:
+            continue
+        number += 1
+        # Imported books have no status history: the dates alone say when
+        # they were read
+        created.append(Book(
+            id=item.id or new_id(),
+            title=item.title,
+            readings={current_user.id: Reading(
+                status=item.status,
+                rating=item.rating,
+                started_at=item.started_at,
+                finished_at=item.finished_at,
+            )},
+            number=number,
+            **item.model_dump(include=set(BOOK_METADATA_FIELDS), exclude_none=True),
+        ))
+    
+    if created:
+        await db.books.insert_many([book_document(book) for book in created])
+        await db.quotes.insert_many([blank_quote(book) for book in created])
+    return created
 
-@api_router.put("/books/{book_title}", response_model=Book)
-async def update_book(book_title: str, input: BookUpdate):
+# Registered before /books/{book_id} so "reorder" is not taken for an id
+@api_router.put("/books/reorder", response_model=List[Book])
+async def reorder_books(input: BookReorder):
+    existing = await db.books.find({}, {"_id": 0, "id": 1}).to_list(None)
+    existing_ids = {b['id'] for b in existing}
+    
+    if len(input.book_ids) != len(existing_ids) or set(input.book_ids) != existing_ids:
+        raise HTTPException(status_code=400, detail="book_ids must list every book exactly once")
+    
+    for idx, book_id in enumerate(input.book_ids, 1):
+        await db.books.update_one(
+            {"id": book_id},
+            {"$set": {"number": idx}}
+        )
+    
+    return await get_books()
+
+@api_router.put("/books/{book_id}", response_model=Book)
+async def update_book(book_id: str, input: BookUpdate, current_user: User = Depends(get_current_user)):
     update_data = {k: v for k, v in input.model_dump().items() if v is not None}
+    base_updated_at = update_data.pop('base_updated_at', None)
+    update_data.update(input.model_dump(
+        include=set(BOOK_METADATA_FIELDS + READING_DATE_FIELDS) | {'rating'}, exclude_unset=True
+    ))
     
     if not update_data:
         raise HTTPException(status_code=400, detail="No fields to update")
     
+    book = await db.books.find_one({"id": book_id}, {"_id": 0})
+    if not book:
+        raise HTTPException(status_code=404, detail="Book not found")
+    check_version(book, base_updated_at)
+    # A reader who hasn't touched the book yet starts from the defaults
+    reading = (book.get('readings') or {}).get(current_user.id, Reading().model_dump())
+    previous_status = reading['status']
+    
+    set_data = {'updated_at': datetime.now(timezone.utc).isoformat()}
+    if 'title' in update_data:
+        set_data['title'] = update_data['title']
+    for field in BOOK_METADATA_FIELDS:
+        if field in update_data:
+            # Lists are never null, just empty
+            empty = [] if field in ('authors', 'genres') else None
+            value = update_data[field]
+            set_data[field] = empty if value is None else value
+    status_changed = update_data.get('status', previous_status) != previous_status
+    if status_changed:
+        reading.update(dates_for_status(reading, update_data['status'], today()))
+    # Dates sent along with a status change override the automatic ones
+    for field in ('status', 'rating') + READING_DATE_FIELDS:
+        if field in update_data:
+            reading[field] = update_data[field]
+            set_data[f"readings.{current_user.id}"] = reading
+    changes = {"$set": set_data}
+    if status_changed:
+        change = StatusChange(user_id=current_user.id, status=update_data['status'])
+        changes["$push"] = {"history": jsonable_encoder(change)}
+    
     result = await db.books.find_one_and_update(
-        {"title": book_title},
-        {"$set": update_data},
+        {"id": book_id},
+        changes,
         return_document=True
     )
     
     if not result:
         raise HTTPException(status_code=404, detail="Book not found")
     
+    # Quotes carry a copy of the title, so renames have to follow them
+    if 'title' in update_data:
+        await db.quotes.update_many(
+            {"book_id": book_id},
+            {"$set": {"book_title": update_data['title']}}
+        )
+    
     result.pop('_id', None)
     if isinstance(result.get('created_at'), str):
         result['created_at'] = datetime.fromisoformat(result['created_at'])
     
     return Book(**result)
 
-@api_router.delete("/books/{book_title}")
-async def delete_book(book_title: str):
-    result = await db.books.delete_one({"title": book_title})
+@api_router.post("/books/{book_id}/progress", response_model=Book)
+async def log_progress(book_id: str, input: ProgressCreate, current_user: User = Depends(get_current_user)):
+    if (input.page is None) == (input.percent is None):
+        raise HTTPException(status_code=400, detail="Log either a page or a percentage")
+    
+    book = await db.books.find_one({"id": book_id}, {"_id": 0})
+    if not book:
+        raise HTTPException(status_code=404, detail="Book not found")
+    # Replaying a queued offline entry must not log it twice
+    if input.id and any(e['id'] == input.id for e in book.get('progress', [])):
+        return Book(**book)
+    
+    entry = ProgressEntry(
+        id=input.id or new_id(),
+        user_id=current_user.id,
+        **input.model_dump(exclude={'id'}),
+    )
+    changes = {
+        "$set": {'updated_at': datetime.now(timezone.utc).isoformat()},
+        "$push": {"progress": jsonable_encoder(entry)},
+    }
+    
+    # Logging progress starts a book, and reaching the end finishes it
+    reading = (book.get('readings') or {}).get(current_user.id, Reading().model_dump())
+    percent = progress_percent(entry.model_dump(), book.get('pages'))
+    status = "Completed" if percent is not None and percent >= 100 else "Reading"
+    if reading['status'] != status and reading['status'] != "Completed":
+        reading.update(status=status, **dates_for_status(reading, status, input.date))
+        changes["$set"][f"readings.{current_user.id}"] = reading
+        change = StatusChange(user_id=current_user.id, status=status)
+        changes["$push"]["history"] = jsonable_encoder(change)
+    
+    result = await db.books.find_one_and_update(
+        {"id": book_id},
+        changes,
+        projection={"_id": 0},
+        return_document=True
+    )
+    if not result:
+        raise HTTPException(status_code=404, detail="Book not found")
+    return Book(**result)
+
+@api_router.delete("/books/{book_id}/progress/{entry_id}", response_model=Book)
+async def delete_progress(book_id: str, entry_id: str):
+    result = await db.books.find_one_and_update(
+        {"id": book_id, "progress.id": entry_id},
+        {
+            "$pull": {"progress": {"id": entry_id}},
+            "$set": {'updated_at': datetime.now(timezone.utc).isoformat()},
+        },
+        projection={"_id": 0},
+        return_document=True
+    )
+    if not result:
+        raise HTTPException(status_code=404, detail="Progress entry not found")
+    return Book(**result)
+
+@api_router.delete("/books/{book_id}")
+async def delete_book(
+    book_id: str,
+    quotes: Literal["delete", "orphan", "move"] = "delete",
+    target_book_id: Optional[str] = None,
+):
+    if quotes == "move":
+        if not target_book_id or target_book_id == book_id:
+            raise HTTPException(status_code=400, detail="A different target book is required to move quotes")
+        target = await db.books.find_one({"id": target_book_id}, {"_id": 0, "title": 1})
+        if not target:
+            raise HTTPException(status_code=404, detail="Target book not found")
+    
+    result = await db.books.delete_one({"id": book_id})
     
     if result.deleted_count == 0:
         raise HTTPException(status_code=404, detail="Book not found")
     
+    # The blank placeholder quote created with the book never survives it
+    await db.quotes.delete_many({"book_id": book_id, "text": ""})
+    
+    if quotes == "delete":
+        await db.quotes.delete_many({"book_id": book_id})
+    elif quotes == "orphan":
+        # Orphans keep their book_title so they can still be grouped and shown
+        await db.quotes.update_many({"book_id": book_id}, {"$set": {"book_id": None}})
+    else:
+        await db.quotes.update_many(
+            {"book_id": book_id},
+            {"$set": {"book_id": target_book_id, "book_title": target['title']}}
+        )
+    
     # Renumber remaining books
-    books = await db.books.find({}, {"_id": 0}).to_list(1000)
+    books = await db.books.find({}, {"_id": 0}).to_list(None)
     books.sort(key=lambda x: x.get('number', 0))
     
     for idx, book in enumerate(books, 1):
         await db.books.update_one(
-            {"title": book['title']},
+            {"id": book['id']},
             {"$set": {"number": idx}}
         )
     
-    # NOTE: The original code did not delete quotes here, which is why the quote card remained.
-    # The fix is purely on the frontend to ensure the quote card is rendered based on quotes, not books.
-    
     return {"message": "Book deleted successfully"}
 
+# Users endpoints
+@api_router.get("/users", response_model=List[User])
+async def get_users():
+    users = await db.users.find({}, {"_id": 0}).to_list(None)
+    for user in users:
+        if isinstance(user.get('created_at'), str):
+            user['created_at'] = datetime.fromisoformat(user['created_at'])
+    users.sort(key=lambda x: x['created_at'])
+    return users
+
+@api_router.post("/users", response_model=User)
+async def create_user(input: UserCreate):
+    if not input.name.strip():
+        raise HTTPException(status_code=400, detail="Name is required")
+    
+    user_obj = User(**input.model_dump(exclude_none=True))
+    if not user_obj.color:
+        user_obj.color = generate_color(user_obj.id)
+    
+    doc = user_obj.model_dump()
+    doc['created_at'] = doc['created_at'].isoformat()
+    
+    await db.users.insert_one(doc)
+    return user_obj
+
+@api_router.put("/users/{user_id}", response_model=User)
+async def update_user(user_id: str, input: UserUpdate):
+    update_data = {k: v for k, v in input.model_dump().items() if v is not None}
+    
+    if not update_data:
+        raise HTTPException(status_code=400, detail="No fields to update")
+    
+    # An empty avatar_url clears the avatar, an empty color regenerates it
+    if update_data.get('avatar_url') == "":
+        update_data['avatar_url'] = None
+    if update_data.get('color') == "":
+        update_data['color'] = generate_color(user_id)
+    
+    result = await db.users.find_one_and_update(
+        {"id": user_id},
+        {"$set": update_data},
+        return_document=True
+    )
+    
+    if not result:
+        raise HTTPException(status_code=404, detail="User not found")
+    
+    result.pop('_id', None)
+    if isinstance(result.get('created_at'), str):
+        result['created_at'] = datetime.fromisoformat(result['created_at'])
+    
+    return User(**result)
+
+@api_router.put("/users/{user_id}/credentials", response_model=User)
+async def set_user_credentials(
+    user_id: str,
+    input: Credentials,
+    current_user: User = Depends(get_current_user),
+):
+    user = await db.users.find_one({"id": user_id}, {"_id": 0, "password_hash": 0})
+    if not user:
+        raise HTTPException(status_code=404, detail="User not found")
+    # Readers can create logins for others, but only change their own
+    if user.get('username') and user_id != current_user.id:
+        raise HTTPException(status_code=403, detail="Only the reader can change their own login")
+    
+    username = validate_credentials(input)
+    taken = await db.users.find_one({"username": username, "id": {"$ne": user_id}}, {"_id": 1})
+    if taken:
+        raise HTTPException(status_code=409, detail="Username is already taken")
+    
+    await db.users.update_one(
+        {"id": user_id},
+        {"$set": {"username": username, "password_hash": hash_password(input.password)}}
+    )
+    # Changing a password signs out every other session of that reader
+    await db.sessions.delete_many({"user_id": user_id})
+    
+    user['username'] = username
+    if isinstance(user.get('created_at'), str):
+        user['created_at'] = datetime.fromisoformat(user['created_at'])
+    return User(**user)
+
+@api_router.delete("/users/{user_id}")
+async def delete_user(user_id: str, current_user: User = Depends(get_current_user)):
+    if user_id == current_user.id:
+        raise HTTPException(status_code=400, detail="You cannot remove yourself")
+    if await db.quotes.find_one({"user_id": user_id}, {"_id": 1}):
+        raise HTTPException(status_code=409, detail="User still has quotes")
+    
+    result = await db.users.delete_one({"id": user_id})
+    
+    if result.deleted_count == 0:
+        raise HTTPException(status_code=404, detail="User not found")
+    
+    await db.sessions.delete_many({"user_id": user_id})
+    await db.goals.delete_many({"user_id": user_id})
+    
+    return {"message": "User deleted successfully"}
+
 # Quotes endpoints
 @api_router.get("/quotes", response_model=List[Quote])
 async def get_quotes():
-    quotes = await db.quotes.find({}, {"_id": 0}).to_list(1000)
+    quotes = await db.quotes.find({}, {"_id": 0}).to_list(None)
     for quote in quotes:
         if isinstance(quote.get('created_at'), str):
             quote['created_at'] = datetime.fromisoformat(quote['created_at'])
     return quotes
 
-@api_router.get("/quotes/{book_title}", response_model=List[Quote])
-async def get_quotes_by_book(book_title: str):
-    quotes = await db.quotes.find({"book_title": book_title}, {"_id": 0}).to_list(1000)
+@api_router.get("/books/{book_id}/quotes", response_model=List[Quote])
+async def get_quotes_by_book(book_id: str):
+    quotes = await db.quotes.find({"book_id": book_id}, {"_id": 0}).to_list(None)
     for quote in quotes:
         if isinstance(quote.get('created_at'), str):
             quote['created_at'] = datetime.fromisoformat(quote['created_at'])
     return quotes
 
 @api_router.post("/quotes", response_model=Quote)
-async def create_quote(input: QuoteCreate):
-    quote_obj = Quote(**input.model_dump())
+async def create_quote(input: QuoteCreate, current_user: User = Depends(get_current_user)):
+    # Replaying a queued offline create must not duplicate the quote
+    if input.id:
+        existing = await db.quotes.find_one({"id": input.id}, {"_id": 0})
+        if existing:
+            return existing
+    
+    book = await db.books.find_one({"id": input.book_id}, {"_id": 0, "title": 1})
+    if not book:
+        raise HTTPException(status_code=404, detail="Book not found")
+
+    # Quotes are always attributed to whoever is signed in
+    quote_obj = Quote(
+        **input.model_dump(exclude={'id'}),
+        id=input.id or new_id(),
+        book_title=book['title'],
+        user_id=current_user.id,
+    )
     
     doc = quote_obj.model_dump()
     doc['created_at'] = doc['created_at'].isoformat()
+    doc['updated_at'] = doc['updated_at'].isoformat()
     
     await db.quotes.insert_one(doc)
     return quote_obj
 
-@api_router.put("/quotes/{book_title}/{quote_text}", response_model=Quote)
-async def update_quote(book_title: str, quote_text: str, input: QuoteUpdate):
+@api_router.put("/quotes/{quote_id}", response_model=Quote)
+async def update_quote(quote_id: str, input: QuoteUpdate):
     update_data = {k: v for k, v in input.model_dump().items() if v is not None}
+    base_updated_at = update_data.pop('base_updated_at', None)
     
     if not update_data:
         raise HTTPException(status_code=400, detail="No fields to update")
     
+    quote = await db.quotes.find_one({"id": quote_id}, {"_id": 0})
+    if not quote:
+        raise HTTPException(status_code=404, detail="Quote not found")
+    check_version(quote, base_updated_at)
+    update_data['updated_at'] = datetime.now(timezone.utc).isoformat()
+    
     result = await db.quotes.find_one_and_update(
-        {"book_title": book_title, "text": quote_text},
+        {"id": quote_id},
         {"$set": update_data},
         return_document=True
     )
@@ -194,29 +843,148 @@ async def update_quote(book_title: str, quote_text: str, input: QuoteUpdate):
     
     return Quote(**result)
 
-@api_router.delete("/quotes/{book_title}/{quote_text}")
-async def delete_quote(book_title: str, quote_text: str):
-    result = await db.quotes.delete_one({"book_title": book_title, "text": quote_text})
+@api_router.delete("/quotes/{quote_id}")
+async def delete_quote(quote_id: str):
+    result = await db.quotes.delete_one({"id": quote_id})
     
     if result.deleted_count == 0:
         raise HTTPException(status_code=404, detail="Quote not found")
     
     return {"message": "Quote deleted successfully"}
 
-# MODIFIED ENDPOINT: Use aggregation to get distinct book titles from quotes
-@api_router.get("/books-with-quotes", response_model=List[str])
+# Use aggregation to get the distinct books referenced by quotes
+@api_router.get("/books-with-quotes", response_model=List[BookWithQuotes])
 async def get_books_with_quotes():
-    # Use aggregation to get distinct book_title values from the quotes collection
     pipeline = [
-        {"$group": {"_id": "$book_title"}},
-        {"$project": {"_id": 0, "book_title": "$_id"}}
+        {"$group": {"_id": {"book_id": "$book_id", "book_title": "$book_title"}}},
+        {"$project": {"_id": 0, "book_id": "$_id.book_id", "book_title": "$_id.book_title"}}
     ]
-    book_titles_docs = await db.quotes.aggregate(pipeline).to_list(1000)
-    book_titles = [doc['book_title'] for doc in book_titles_docs]
-    return book_titles
+    return await db.quotes.aggregate(pipeline).to_list(None)
+
+# Reading goals: one per reader and year, set by the reader themselves
+@api_router.get("/goals", response_model=List[Goal])
+async def get_goals():
+    goals = await db.goals.find({}, {"_id": 0}).to_list(None)
+    goals.sort(key=lambda x: (x.get('year', 0), x.get('user_id', '')))
+    return goals
+
+@api_router.put("/goals/{year}", response_model=Goal)
+async def set_goal(year: int, input: GoalSet, current_user: User = Depends(get_current_user)):
+    now = datetime.now(timezone.utc).isoformat()
+    # Setting the same goal again, e.g. when replayed offline, is harmless
+    result = await db.goals.find_one_and_update(
+        {"user_id": current_user.id, "year": year},
+        {
+            "$set": {**input.model_dump(), 'updated_at': now},
+            "$setOnInsert": {'id': new_id(), 'created_at': now},
+        },
+        projection={"_id": 0},
+        upsert=True,
+        return_document=True
+    )
+    return Goal(**result)
+
+@api_router.delete("/goals/{year}")
+async def delete_goal(year: int, current_user: User = Depends(get_current_user)):
+    result = await db.goals.delete_one({"user_id": current_user.id, "year": year})
+    
+    if result.deleted_count == 0:
+        raise HTTPException(status_code=404, detail="Goal not found")
+    
+    return {"message": "Goal deleted successfully"}
 
-# Include the router in the main app
+# Covers
+@api_router.post("/covers", response_model=CoverUpload)
+async def upload_cover(file: UploadFile = File(...)):
+    extension = COVER_TYPES.get(file.content_type)
+    if not extension:
+        raise HTTPException(status_code=400, detail="Covers must be JPEG, PNG or WebP images")
+    data = await file.read(MAX_COVER_BYTES + 1)
+    if len(data) > MAX_COVER_BYTES:
+        raise HTTPException(status_code=413, detail="Cover image is too large")
+    
+    # Random names, so a cover can be cached forever and never overwritten
+    name = f"{new_id()}{extension}"
+    (COVERS_DIR / name).write_bytes(data)
+    return CoverUpload(url=f"/api/covers/{name}")
+
+# Export / import
+@api_router.get("/export", response_model=LibraryExport)
+async def export_library():
+    return LibraryExport(
+        books=await get_books(),
+        quotes=await get_quotes(),
+        users=await get_users(),
+        goals=await get_goals(),
+    )
+
+# Merges an export into the library: records are matched by id, so importing
+# the same file twice changes nothing. A replace first drops everything the
+# export doesn't have, except the reader restoring it.
+@api_router.post("/import", response_model=ImportResult)
+async def import_library(
+    input: LibraryExport,
+    mode: Literal["merge", "replace"] = "merge",
+    current_user: User = Depends(get_current_user),
+):
+    if input.version > EXPORT_VERSION:
+        raise HTTPException(status_code=400, detail="This export is from a newer version of the app")
+    
+    removed = 0
+    if mode == "replace":
+        kept_users = [user.id for user in input.users] + [current_user.id]
+        dropped_users = [
+            u['id'] for u in await db.users.find(
+                {"id": {"$nin": kept_users}}, {"_id": 0, "id": 1}
+            ).to_list(None)
+        ]
+        await db.users.delete_many({"id": {"$in": dropped_users}})
+        await db.sessions.delete_many({"user_id": {"$in": dropped_users}})
+        removed += len(dropped_users)
+        removed += (await db.books.delete_many(
+            {"id": {"$nin": [book.id for book in input.books]}}
+        )).deleted_count
+        removed += (await db.quotes.delete_many(
+            {"id": {"$nin": [quote.id for quote in input.quotes]}}
+        )).deleted_count
+        kept_goals = [{"user_id": goal.user_id, "year": goal.year} for goal in input.goals]
+        removed += (await db.goals.delete_many(
+            {"$nor": kept_goals} if kept_goals else {}
+        )).deleted_count
+    
+    for user in input.users:
+        # Logins don't carry over; existing ones here are left alone
+        doc = jsonable_encoder(user, exclude={'username'})
+        await db.users.update_one({"id": user.id}, {"$set": doc}, upsert=True)
+    for book in input.books:
+        await db.books.replace_one({"id": book.id}, jsonable_encoder(book), upsert=True)
+    for quote in input.quotes:
+        await db.quotes.replace_one({"id": quote.id}, jsonable_encoder(quote), upsert=True)
+    for goal in input.goals:
+        # Matched by reader and year, since a reader only has one goal a year
+        await db.goals.replace_one(
+            {"user_id": goal.user_id, "year": goal.year}, jsonable_encoder(goal), upsert=True
+        )
+    
+    # Imported numbers can clash with existing ones; keep the relative order
+    books = await db.books.find({}, {"_id": 0, "id": 1, "number": 1, "created_at": 1}).to_list(None)
+    books.sort(key=lambda x: (x.get('number', 0), str(x.get('created_at', ''))))
+    for idx, book in enumerate(books, 1):
+        await db.books.update_one({"id": book['id']}, {"$set": {"number": idx}})
+    
+    return ImportResult(
+        books=len(input.books),
+        quotes=len(input.quotes),
+        users=len(input.users),
+        goals=len(input.goals),
+        removed=removed,
+    )
+
+# Include the routers in the main app
+app.include_router(auth_router)
 app.include_router(api_router)
+# Outside api_router: <img> tags can't send the session token
+app.mount("/api/covers", StaticFiles(directory=COVERS_DIR), name="covers")
 
 app.add_middleware(
     CORSMiddleware,
@@ -233,6 +1001,70 @@ logging.basicConfig(
 )
 logger = logging.getLogger(__name__)
 
+# Colors of the readers made for the old hard-coded users, by their old id
+LEGACY_USER_COLORS = {1: "#b4a7d6", 2: "#ffdfba"}
+
+async def create_legacy_user(legacy_id: int) -> User:
+    user = User(name=f"User {legacy_id}", color=LEGACY_USER_COLORS[legacy_id])
+    doc = user.model_dump()
+    doc['created_at'] = doc['created_at'].isoformat()
+    await db.users.insert_one(doc)
+    return user
+
+@app.on_event("startup")
+async def migrate_legacy_data():
+    # Records created before books and quotes had ids were addressed by
+    # title/text; give them ids and link quotes to their book by title.
+    async for book in db.books.find({"id": {"$exists": False}}, {"_id": 1}):
+        await db.books.update_one({"_id": book['_id']}, {"$set": {"id": new_id()}})
+
+    titles_to_ids = {
+        b['title']: b['id']
+        async for b in db.books.find({}, {"_id": 0, "id": 1, "title": 1})
+    }
+    async for quote in db.quotes.find({"id": {"$exists": False}}, {"_id": 1, "book_title": 1}):
+        await db.quotes.update_one(
+            {"_id": quote['_id']},
+            {"$set": {"id": new_id(), "book_id": titles_to_ids.get(quote.get('book_title'))}}
+        )
+
+    # Quotes used to be attributed to a hard-coded "User 1" or "User 2". They
+    # become readers, but only on installs that have quotes of theirs; a
+    # fresh one starts with no readers.
+    for legacy_id in LEGACY_USER_COLORS:
+        await db.quotes.update_many({"user_id": legacy_id, "text": ""}, {"$set": {"user_id": None}})
+        if await db.quotes.find_one({"user_id": legacy_id}, {"_id": 1}):
+            user = await create_legacy_user(legacy_id)
+            await db.quotes.update_many({"user_id": legacy_id}, {"$set": {"user_id": user.id}})
+
+    # Books used to have a single shared status and rating; they become the
+    # reading of the first reader, who entered them. An install whose quotes
+    # were all blank has no reader yet, so "User 1" is made for them.
+    if await db.books.find_one({"readings": {"$exists": False}}, {"_id": 1}):
+        first_user = await db.users.find_one({}, {"_id": 0, "id": 1}, sort=[("created_at", 1)])
+        first_user_id = first_user['id'] if first_user else (await create_legacy_user(1)).id
+    async for book in db.books.find({"readings": {"$exists": False}}, {"_id": 1, "status": 1, "rating": 1}):
+        reading = Reading(status=book.get('status', "To Read"), rating=book.get('rating'))
+        await db.books.update_one(
+            {"_id": book['_id']},
+            {
+                "$set": {"readings": {first_user_id: reading.model_dump()}},
+                "$unset": {"status": "", "rating": ""},
+            }
+        )
+
+    await db.books.create_index("id", unique=True)
+    await db.quotes.create_index("id", unique=True)
+    await db.quotes.create_index("book_id")
+    await db.users.create_index("id", unique=True)
+    await db.users.create_index(
+        "username",
+        unique=True,
+        partialFilterExpression={"username": {"$type": "string"}}
+    )
+    await db.sessions.create_index("token_hash", unique=True)
+    await db.sessions.create_index("expires_at", expireAfterSeconds=0)
+
 @app.on_event("shutdown")
 async def shutdown_db_client():
     client.close()
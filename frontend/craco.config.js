@@ -60,6 +60,15 @@ const webpackConfig = {
       return webpackConfig;
     },
   },
+  jest: {
+    configure: {
+      moduleNameMapper: {
+        '^@/(.*)$': '<rootDir>/src/$1',
+        // axios ships ESM that CRA's Jest doesn't transform
+        '^axios$': 'axios/dist/node/axios.cjs',
+      },
+    },
+  },
 };
 
 // Setup devServer only for health check
@@ -0,0 +1,71 @@
+import { apiRequest } from "@/lib/data-source";
+import { ApiError, normalizeError } from "@/api/errors";
+
+// Only requests that can safely run twice are retried
+const IDEMPOTENT_METHODS = ["get", "head", "put", "delete"];
+const RETRYABLE_STATUSES = [502, 503, 504];
+const DEFAULT_RETRIES = 2;
+const BACKOFF_MS = 300;
+
+let adapter = apiRequest;
+
+/**
+ * Swaps what requests are sent through, e.g. a mock adapter in tests.
+ * Returns a function that puts the previous adapter back.
+ */
+export function setAdapter(next) {
+  const previous = adapter;
+  adapter = next;
+  return () => {
+    adapter = previous;
+  };
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ApiError("Request was cancelled", { aborted: true }));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+const shouldRetry = (error) =>
+  error.isNetworkError || RETRYABLE_STATUSES.includes(error.status);
+
+/**
+ * Sends a request built by `requests` and resolves to the response body.
+ *
+ * `signal` is an AbortSignal that cancels the request, including any
+ * pending retry. Idempotent requests are retried `retries` times on network
+ * errors and gateway failures, backing off exponentially with jitter.
+ * Rejects with an ApiError.
+ */
+export async function send(request, { signal, retries } = {}) {
+  const method = (request.method || "get").toLowerCase();
+  const retryable = IDEMPOTENT_METHODS.includes(method);
+  const attempts = 1 + (retries ?? (retryable ? DEFAULT_RETRIES : 0));
+
+  for (let attempt = 1; ; attempt += 1) {
+    if (signal?.aborted) {
+      throw new ApiError("Request was cancelled", { aborted: true });
+    }
+    try {
+      const response = await adapter({ ...request, method, signal });
+      if (signal?.aborted) {
+        throw new ApiError("Request was cancelled", { aborted: true });
+      }
+      return response.data;
+    } catch (e) {
+      const error = normalizeError(e);
+      if (attempt >= attempts || !shouldRetry(error)) throw error;
+      const delay = BACKOFF_MS * 2 ** (attempt - 1);
+      await wait(delay + Math.random() * delay, signal);
+    }
+  }
+}
@@ -0,0 +1,144 @@
+import { send, setAdapter } from "@/api/client";
+import { ApiError } from "@/api/errors";
+import {
+  createMockAdapter,
+  mockError,
+  mockNetworkError,
+} from "@/api/mock";
+
+const book = { id: "b1", title: "Dune", updated_at: "2024-05-01T10:00:00Z" };
+
+let mock;
+let restore;
+
+beforeEach(() => {
+  // No jitter, so retries wait 300ms and then 600ms
+  jest.spyOn(Math, "random").mockReturnValue(0);
+  mock = createMockAdapter();
+  restore = setAdapter(mock);
+});
+
+afterEach(() => {
+  restore();
+  jest.restoreAllMocks();
+});
+
+// Fails `failures` times with `error`, then answers with `body`
+const flaky = (failures, error, body) => {
+  let calls = 0;
+  return () => {
+    calls += 1;
+    if (calls <= failures) throw error();
+    return body;
+  };
+};
+
+describe("send", () => {
+  it("resolves to the response body", async () => {
+    mock.on("GET /books/:id", ({ params }) => ({ ...book, id: params.id }));
+    await expect(send({ method: "get", url: "/books/b2" })).resolves.toEqual({
+      ...book,
+      id: "b2",
+    });
+  });
+
+  it.each([
+    ["GET", "get"],
+    ["PUT", "put"],
+    ["DELETE", "delete"],
+  ])("retries network errors on %s", async (route, method) => {
+    mock.on(`${route} /books/:id`, flaky(2, mockNetworkError, book));
+    await expect(send({ method, url: "/books/b1" })).resolves.toEqual(book);
+    expect(mock.calls).toHaveLength(3);
+  });
+
+  it.each([502, 503, 504])("retries a %i", async (status) => {
+    mock.on("GET /books", flaky(1, () => mockError(status, "Down"), [book]));
+    await expect(send({ method: "get", url: "/books" })).resolves.toEqual([
+      book,
+    ]);
+    expect(mock.calls).toHaveLength(2);
+  });
+
+  it("gives up after the last retry", async () => {
+    mock.on("GET /books", flaky(3, () => mockError(503, "Down"), [book]));
+    const error = await send({ method: "get", url: "/books" }).catch((e) => e);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(503);
+    expect(mock.calls).toHaveLength(3);
+  });
+
+  it("doesn't retry a POST", async () => {
+    mock.on("POST /books", flaky(1, mockNetworkError, book));
+    const error = await send({ method: "post", url: "/books" }).catch((e) => e);
+    expect(error.isNetworkError).toBe(true);
+    expect(mock.calls).toHaveLength(1);
+  });
+
+  it("doesn't retry a POST on a gateway failure", async () => {
+    mock.on("POST /books", flaky(1, () => mockError(502, "Bad gateway"), book));
+    const error = await send({ method: "post", url: "/books" }).catch((e) => e);
+    expect(error.status).toBe(502);
+    expect(mock.calls).toHaveLength(1);
+  });
+
+  it("doesn't retry other errors", async () => {
+    mock.on("PUT /books/:id", () => {
+      throw mockError(500, "Server error");
+    });
+    const error = await send({ method: "put", url: "/books/b1" }).catch(
+      (e) => e,
+    );
+    expect(error.status).toBe(500);
+    expect(error.message).toBe("Server error");
+    expect(mock.calls).toHaveLength(1);
+  });
+
+  it("doesn't send once aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const error = await send(
+      { method: "get", url: "/books" },
+      { signal: controller.signal },
+    ).catch((e) => e);
+    expect(error.aborted).toBe(true);
+    expect(error.isNetworkError).toBe(false);
+    expect(mock.calls).toHaveLength(0);
+  });
+
+  it("gives up when aborted while waiting to retry", async () => {
+    const controller = new AbortController();
+    mock.on("GET /books", () => {
+      setTimeout(() => controller.abort(), 50);
+      throw mockNetworkError();
+    });
+    const error = await send(
+      { method: "get", url: "/books" },
+      { signal: controller.signal },
+    ).catch((e) => e);
+    expect(error.aborted).toBe(true);
+    expect(mock.calls).toHaveLength(1);
+  });
+
+  it("turns a 409 into an ApiError with the current record", async () => {
+    const current = { ...book, title: "Dune Messiah" };
+    mock.on("PUT /books/:id", () => {
+      throw mockError(409, { message: "Book was changed", current });
+    });
+    const error = await send({ method: "put", url: "/books/b1" }).catch(
+      (e) => e,
+    );
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(409);
+    expect(error.message).toBe("Book was changed");
+    expect(error.detail.current).toEqual(current);
+    expect(mock.calls).toHaveLength(1);
+  });
+
+  it("fails unmatched routes with a 404", async () => {
+    const error = await send({ method: "get", url: "/nowhere" }).catch(
+      (e) => e,
+    );
+    expect(error.status).toBe(404);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * The one error type API calls reject with.
+ *
+ * - `status` is the HTTP status, or null when the server couldn't be reached
+ *   (see `isNetworkError`) or the request was aborted (`aborted`).
+ * - `detail` is the backend's `detail` as sent: usually a string, an object
+ *   such as `{ message, current }` for 409 conflicts.
+ * - `message` is always something readable.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, detail = null, aborted = false } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.detail = detail;
+    this.aborted = aborted;
+  }
+
+  get isNetworkError() {
+    return this.status === null && !this.aborted;
+  }
+}
+
+// Turns whatever an adapter threw (axios-style errors) into an ApiError
+export function normalizeError(error) {
+  if (error instanceof ApiError) return error;
+  if (error?.name === "CanceledError" || error?.name === "AbortError") {
+    return new ApiError("Request was cancelled", { aborted: true });
+  }
+  if (!error?.response) {
+    return new ApiError("Could not reach the server");
+  }
+
+  const { status, data } = error.response;
+  const detail = data?.detail ?? null;
+  const message =
+    (typeof detail === "string" && detail) ||
+    detail?.message ||
+    `Request failed with status ${status}`;
+  return new ApiError(message, { status, detail });
+}
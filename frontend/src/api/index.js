@@ -0,0 +1,217 @@
+import { send } from "@/api/client";
+import * as requests from "@/api/requests";
+
+export { send, setAdapter } from "@/api/client";
+export { ApiError } from "@/api/errors";
+export { requests };
+
+/**
+ * @typedef {object} Reading
+ * @property {"To Read" | "Reading" | "Completed"} status
+ * @property {?number} rating
+ * @property {?string} started_at YYYY-MM-DD
+ * @property {?string} finished_at YYYY-MM-DD
+ *
+ * @typedef {object} StatusChange
+ * @property {string} user_id
+ * @property {"To Read" | "Reading" | "Completed"} status
+ * @property {string} changed_at
+ *
+ * @typedef {object} ProgressEntry
+ * @property {string} id
+ * @property {string} user_id
+ * @property {string} date YYYY-MM-DD
+ * @property {?number} page set when logged in pages
+ * @property {?number} percent set when logged in percent
+ * @property {string} note
+ * @property {string} created_at
+ *
+ * @typedef {object} Book
+ * @property {string} id
+ * @property {string} title
+ * @property {Object<string, Reading>} readings keyed by reader id
+ * @property {StatusChange[]} history oldest first
+ * @property {ProgressEntry[]} progress every reader's, as logged
+ * @property {string[]} authors
+ * @property {?number} pages
+ * @property {string[]} genres
+ * @property {?string} isbn
+ * @property {?number} year of publication
+ * @property {?string} cover_url
+ * @property {number} number position in the reading queue, from 1
+ * @property {string} created_at
+ * @property {string} updated_at
+ *
+ * @typedef {object} Quote
+ * @property {string} id
+ * @property {?string} book_id null once the book was deleted
+ * @property {string} book_title
+ * @property {string} text empty for the placeholder created with a book
+ * @property {?string} user_id
+ * @property {string} discussion Markdown
+ * @property {string} created_at
+ * @property {string} updated_at
+ *
+ * @typedef {object} User
+ * @property {string} id
+ * @property {string} name
+ * @property {?string} username null until the reader has a login
+ * @property {string} color
+ * @property {?string} avatar_url
+ * @property {string} created_at
+ *
+ * @typedef {object} Goal
+ * @property {string} id
+ * @property {string} user_id
+ * @property {number} year
+ * @property {number} target books to finish in the year
+ * @property {?number} monthly_target books to finish in each of its months
+ * @property {string} created_at
+ * @property {string} updated_at
+ *
+ * @typedef {{ token: string, user: User }} AuthSession
+ *
+ * @typedef {object} RequestOptions
+ * @property {AbortSignal} [signal]
+ * @property {number} [retries] overrides the default retry count
+ */
+
+// Auth
+
+/** @returns {Promise<User>} */
+export const getMe = (options) => send(requests.getMe(), options);
+
+/** @returns {Promise<{ needs_setup: boolean, unclaimed_users: User[] }>} */
+export const getAuthSetup = (options) =>
+  send(requests.getAuthSetup(), options);
+
+/** @returns {Promise<AuthSession>} */
+export const register = (data, options) =>
+  send(requests.register(data), options);
+
+/** @returns {Promise<AuthSession>} */
+export const login = (data, options) => send(requests.login(data), options);
+
+export const logout = (options) => send(requests.logout(), options);
+
+// Books
+
+/** @returns {Promise<Book[]>} in queue order */
+export const getBooks = (options) => send(requests.getBooks(), options);
+
+/** @returns {Promise<Book>} */
+export const createBook = (data, options) =>
+  send(requests.createBook(data), options);
+
+/** @returns {Promise<Book[]>} the books created, leaving out repeats */
+export const createBooks = (books, options) =>
+  send(requests.createBooks(books), options);
+
+/** @returns {Promise<Book>} */
+export const updateBook = (bookId, data, options) =>
+  send(requests.updateBook(bookId, data), options);
+
+/** @returns {Promise<Book[]>} */
+export const reorderBooks = (bookIds, options) =>
+  send(requests.reorderBooks(bookIds), options);
+
+export const deleteBook = (bookId, quoteHandling, options) =>
+  send(requests.deleteBook(bookId, quoteHandling), options);
+
+/**
+ * Logs a reading session for the signed-in reader: `{ id?, date, page,
+ * percent, note }` with exactly one of page and percent. May move their
+ * status on to Reading or, at 100%, Completed.
+ * @returns {Promise<Book>}
+ */
+export const logProgress = (bookId, data, options) =>
+  send(requests.logProgress(bookId, data), options);
+
+/** @returns {Promise<Book>} */
+export const deleteProgress = (bookId, entryId, options) =>
+  send(requests.deleteProgress(bookId, entryId), options);
+
+// Readers
+
+/** @returns {Promise<User[]>} */
+export const getUsers = (options) => send(requests.getUsers(), options);
+
+/** @returns {Promise<User>} */
+export const createUser = (data, options) =>
+  send(requests.createUser(data), options);
+
+/** @returns {Promise<User>} */
+export const updateUser = (userId, data, options) =>
+  send(requests.updateUser(userId, data), options);
+
+/** @returns {Promise<User>} */
+export const setUserCredentials = (userId, data, options) =>
+  send(requests.setUserCredentials(userId, data), options);
+
+export const deleteUser = (userId, options) =>
+  send(requests.deleteUser(userId), options);
+
+// Quotes
+
+/** @returns {Promise<Quote[]>} */
+export const getQuotes = (options) => send(requests.getQuotes(), options);
+
+/** @returns {Promise<Quote[]>} */
+export const getBookQuotes = (bookId, options) =>
+  send(requests.getBookQuotes(bookId), options);
+
+/** @returns {Promise<Quote>} */
+export const createQuote = (data, options) =>
+  send(requests.createQuote(data), options);
+
+/** @returns {Promise<Quote>} */
+export const updateQuote = (quoteId, data, options) =>
+  send(requests.updateQuote(quoteId, data), options);
+
+export const deleteQuote = (quoteId, options) =>
+  send(requests.deleteQuote(quoteId), options);
+
+// Goals
+
+/** @returns {Promise<Goal[]>} every reader's */
+export const getGoals = (options) => send(requests.getGoals(), options);
+
+/**
+ * Sets the signed-in reader's goal for `year`: `{ target, monthly_target }`.
+ * @returns {Promise<Goal>}
+ */
+export const setGoal = (year, data, options) =>
+  send(requests.setGoal(year, data), options);
+
+export const deleteGoal = (year, options) =>
+  send(requests.deleteGoal(year), options);
+
+// Covers
+
+/**
+ * Uploads a cover image (a File or Blob) and resolves to where it's served.
+ * Use coverSrc() from lib/covers to turn the url into an <img> src.
+ * @returns {Promise<{ url: string }>}
+ */
+export const uploadCover = (image, options) =>
+  send(requests.uploadCover(image), options);
+
+// Export / import
+
+/**
+ * @returns {Promise<{ version: number, exported_at: string, books: Book[],
+ *   quotes: Quote[], users: User[], goals: Goal[] }>}
+ */
+export const exportLibrary = (options) =>
+  send(requests.exportLibrary(), options);
+
+/**
+ * Merges an export into the library, or with `mode` "replace" also deletes
+ * what it doesn't have. Without a backend, `me` picks which reader to be
+ * afterwards. Resolves to how many records of each kind it had, and how
+ * many the replace removed.
+ * @returns {Promise<{ books: number, quotes: number, users: number,
+ *   goals: number, removed: number }>}
+ */
+export const importLibrary = (data, mode, me, options) =>
+  send(requests.importLibrary(data, mode, me), options);
@@ -0,0 +1,63 @@
+import { matchPath } from "@/lib/match-path";
+
+/**
+ * Adapter for tests that answers from a table of canned routes instead of a
+ * backend:
+ *
+ *   const mock = createMockAdapter({
+ *     "GET /books": [book],
+ *     "PUT /books/:id": ({ params, data }) => ({ ...book, ...data }),
+ *     "DELETE /quotes/:id": () => {
+ *       throw mockError(404, "Quote not found");
+ *     },
+ *   });
+ *   const restore = setAdapter(mock);
+ *   // ...
+ *   expect(mock.calls).toHaveLength(1);
+ *   restore();
+ *
+ * A reply is either the response body or a function of `{ params, data,
+ * query }` returning it. Unmatched requests fail with a 404.
+ */
+export function createMockAdapter(routes = {}) {
+  const table = { ...routes };
+  const calls = [];
+
+  const adapter = async (request) => {
+    calls.push(request);
+    const method = (request.method || "get").toUpperCase();
+    const path = request.url.split("?")[0].replace(/\/$/, "");
+
+    for (const [key, reply] of Object.entries(table)) {
+      const [routeMethod, pattern] = key.split(" ");
+      if (routeMethod !== method) continue;
+      const params = matchPath(pattern, path);
+      if (!params) continue;
+      const data =
+        typeof reply === "function"
+          ? await reply({ params, data: request.data, query: request.params })
+          : reply;
+      return { data };
+    }
+    throw mockError(404, "Not Found");
+  };
+
+  adapter.calls = calls;
+  adapter.on = (key, reply) => {
+    table[key] = reply;
+    return adapter;
+  };
+  return adapter;
+}
+
+// An error shaped like the ones real adapters throw for HTTP errors
+export function mockError(status, detail) {
+  const error = new Error(typeof detail === "string" ? detail : "Mock error");
+  error.response = { status, data: { detail } };
+  return error;
+}
+
+// An error shaped like an unreachable backend
+export function mockNetworkError() {
+  return new Error("Network Error");
+}
@@ -0,0 +1,123 @@
+// One builder per backend endpoint. Each returns a plain request object
+// (`{ method, url, data, params }`, `url` relative to the API root) that
+// `send()` can run now or the offline outbox can store and replay later.
+
+const id = (value) => encodeURIComponent(value);
+
+// Auth
+export const getMe = () => ({ method: "get", url: "/auth/me" });
+export const getAuthSetup = () => ({ method: "get", url: "/auth/setup" });
+export const register = (data) => ({
+  method: "post",
+  url: "/auth/register",
+  data,
+});
+export const login = (data) => ({ method: "post", url: "/auth/login", data });
+export const logout = () => ({ method: "post", url: "/auth/logout" });
+
+// Books
+export const getBooks = () => ({ method: "get", url: "/books" });
+export const createBook = (data) => ({ method: "post", url: "/books", data });
+// Books from another app's export, each with its own `id` so a replay
+// skips the ones already created
+export const createBooks = (books) => ({
+  method: "post",
+  url: "/books/bulk",
+  data: { books },
+});
+export const updateBook = (bookId, data) => ({
+  method: "put",
+  url: `/books/${id(bookId)}`,
+  data,
+});
+export const reorderBooks = (bookIds) => ({
+  method: "put",
+  url: "/books/reorder",
+  data: { book_ids: bookIds },
+});
+// `quotes` is "delete", "orphan" or "move" (to `targetBookId`)
+export const deleteBook = (
+  bookId,
+  { quotes = "delete", targetBookId } = {},
+) => ({
+  method: "delete",
+  url: `/books/${id(bookId)}`,
+  params: {
+    quotes,
+    target_book_id: quotes === "move" ? targetBookId : undefined,
+  },
+});
+export const logProgress = (bookId, data) => ({
+  method: "post",
+  url: `/books/${id(bookId)}/progress`,
+  data,
+});
+export const deleteProgress = (bookId, entryId) => ({
+  method: "delete",
+  url: `/books/${id(bookId)}/progress/${id(entryId)}`,
+});
+
+// Readers
+export const getUsers = () => ({ method: "get", url: "/users" });
+export const createUser = (data) => ({ method: "post", url: "/users", data });
+export const updateUser = (userId, data) => ({
+  method: "put",
+  url: `/users/${id(userId)}`,
+  data,
+});
+export const setUserCredentials = (userId, data) => ({
+  method: "put",
+  url: `/users/${id(userId)}/credentials`,
+  data,
+});
+export const deleteUser = (userId) => ({
+  method: "delete",
+  url: `/users/${id(userId)}`,
+});
+
+// Quotes
+export const getQuotes = () => ({ method: "get", url: "/quotes" });
+export const getBookQuotes = (bookId) => ({
+  method: "get",
+  url: `/books/${id(bookId)}/quotes`,
+});
+export const createQuote = (data) => ({ method: "post", url: "/quotes", data });
+export const updateQuote = (quoteId, data) => ({
+  method: "put",
+  url: `/quotes/${id(quoteId)}`,
+  data,
+});
+export const deleteQuote = (quoteId) => ({
+  method: "delete",
+  url: `/quotes/${id(quoteId)}`,
+});
+
+// Goals, one per reader and year
+export const getGoals = () => ({ method: "get", url: "/goals" });
+export const setGoal = (year, data) => ({
+  method: "put",
+  url: `/goals/${id(year)}`,
+  data,
+});
+export const deleteGoal = (year) => ({
+  method: "delete",
+  url: `/goals/${id(year)}`,
+});
+
+// Covers. Uploads are never queued offline: FormData can't be stored.
+export const uploadCover = (image) => {
+  const data = new FormData();
+  data.append("file", image, "cover.jpg");
+  return { method: "post", url: "/covers", data };
+};
+
+// Export / import
+export const exportLibrary = () => ({ method: "get", url: "/export" });
+// `mode` is "merge" or "replace". `me` is the reader to be afterwards,
+// which only the in-browser data source asks for: it has no logins.
+export const importLibrary = (data, mode = "merge", me) => ({
+  method: "post",
+  url: "/import",
+  data,
+  params: me ? { mode, me } : { mode },
+});
@@ -0,0 +1,164 @@
+import { Outlet, useLocation, useNavigate } from "react-router-dom";
+import {
+  Download,
+  FileSpreadsheet,
+  HardDrive,
+  LogOut,
+  Upload,
+  Users,
+} from "lucide-react";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { CsvImportDialog } from "@/components/CsvImportDialog";
+import { ReaderAvatar } from "@/components/ReaderAvatar";
+import { ReadersDialog } from "@/components/ReadersDialog";
+import { RestoreDialog } from "@/components/RestoreDialog";
+import { SyncIndicator } from "@/components/SyncIndicator";
+import { useLibrary } from "@/context/LibraryContext";
+import { useDialogParam } from "@/hooks/use-dialog-param";
+import { isLocalDataSource } from "@/lib/data-source";
+
+// The tab is the first path segment: /books/123 keeps "Books" selected
+const sectionFor = (pathname) => pathname.split("/")[1] || "books";
+
+export function AppLayout() {
+  const {
+    users,
+    currentUser,
+    online,
+    pendingCount,
+    syncing,
+    conflicts,
+    syncOutbox,
+    resolveConflict,
+    logout,
+    addUser,
+    updateUser,
+    setUserCredentials,
+    deleteUser,
+    exportLibrary,
+  } = useLibrary();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { dialog, openDialog, closeDialog } = useDialogParam();
+
+  return (
+    <Tabs
+      value={sectionFor(location.pathname)}
+      onValueChange={(section) => navigate(`/${section}`)}
+      className="tabs-container"
+    >
+      <div className="tabs-header">
+        <TabsList data-testid="main-tabs" className="tabs-left">
+          <TabsTrigger value="books" data-testid="books-tab">
+            Books
+          </TabsTrigger>
+          <TabsTrigger value="quotes" data-testid="quotes-tab">
+            Quotes
+          </TabsTrigger>
+          <TabsTrigger value="calendar" data-testid="calendar-tab">
+            Calendar
+          </TabsTrigger>
+          <TabsTrigger value="stats" data-testid="stats-tab">
+            Stats
+          </TabsTrigger>
+        </TabsList>
+        <div className="tabs-actions">
+          <SyncIndicator
+            online={online}
+            pendingCount={pendingCount}
+            syncing={syncing}
+            conflicts={conflicts}
+            onSync={syncOutbox}
+            onResolveConflict={resolveConflict}
+          />
+          <Button
+            variant="ghost"
+            className="readers-btn"
+            onClick={() => openDialog("readers")}
+            data-testid="readers-btn"
+          >
+            <span className="readers-stack">
+              {users.slice(0, 3).map((user) => (
+                <ReaderAvatar
+                  key={user.id}
+                  user={user}
+                  className="reader-avatar-sm"
+                />
+              ))}
+            </span>
+            <Users className="w-4 h-4" /> Readers
+          </Button>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button
+                variant="ghost"
+                className="readers-btn"
+                data-testid="library-menu-btn"
+              >
+                <HardDrive className="w-4 h-4" /> Library
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuItem
+                onSelect={exportLibrary}
+                data-testid="export-library-btn"
+              >
+                <Download className="w-4 h-4" /> Export as JSON
+              </DropdownMenuItem>
+              <DropdownMenuItem
+                onSelect={() => openDialog("restore")}
+                data-testid="import-library-btn"
+              >
+                <Upload className="w-4 h-4" /> Restore from JSON
+              </DropdownMenuItem>
+              <DropdownMenuItem
+                onSelect={() => openDialog("import-csv")}
+                data-testid="import-csv-btn"
+              >
+                <FileSpreadsheet className="w-4 h-4" /> Import from Goodreads
+                or StoryGraph
+              </DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+          {!isLocalDataSource && (
+            <Button
+              variant="ghost"
+              className="readers-btn"
+              onClick={logout}
+              data-testid="logout-btn"
+            >
+              <LogOut className="w-4 h-4" /> Sign out
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <ReadersDialog
+        open={dialog === "readers"}
+        onOpenChange={(open) => !open && closeDialog()}
+        users={users}
+        currentUserId={currentUser.id}
+        onAdd={addUser}
+        onUpdate={updateUser}
+        onSetCredentials={setUserCredentials}
+        onDelete={deleteUser}
+        loginsEnabled={!isLocalDataSource}
+      />
+
+      <CsvImportDialog
+        open={dialog === "import-csv"}
+        onClose={closeDialog}
+      />
+      <RestoreDialog open={dialog === "restore"} onClose={closeDialog} />
+
+      <Outlet />
+    </Tabs>
+  );
+}
@@ -0,0 +1,145 @@
+// Plain SVG bar charts for the Stats tab. Each bar is `{ key, label,
+// segments }` and its segments, `{ key, value, color, title }`, stack up
+// from the axis.
+
+const PLOT_HEIGHT = 140;
+const BAR_WIDTH = 28;
+const BAR_GAP = 14;
+const VALUE_SPACE = 16;
+const LABEL_SPACE = 22;
+
+const total = (bar) => bar.segments.reduce((sum, s) => sum + s.value, 0);
+
+const defaultFormat = (value) => String(Math.round(value * 10) / 10);
+
+export function BarChart({
+  bars,
+  label,
+  max,
+  formatValue = defaultFormat,
+  ...props
+}) {
+  const top = max ?? Math.max(1, ...bars.map(total));
+  const width = bars.length * (BAR_WIDTH + BAR_GAP) + BAR_GAP;
+  const axis = VALUE_SPACE + PLOT_HEIGHT;
+
+  return (
+    <svg
+      className="bar-chart"
+      viewBox={`0 0 ${width} ${axis + LABEL_SPACE}`}
+      role="img"
+      aria-label={label}
+      {...props}
+    >
+      <line x1="0" x2={width} y1={axis} y2={axis} className="chart-axis" />
+      {bars.map((bar, i) => {
+        const x = BAR_GAP + i * (BAR_WIDTH + BAR_GAP);
+        const center = x + BAR_WIDTH / 2;
+        const sum = total(bar);
+        let y = axis;
+        return (
+          <g key={bar.key}>
+            {bar.segments
+              .filter((segment) => segment.value > 0)
+              .map((segment) => {
+                const height = (segment.value / top) * PLOT_HEIGHT;
+                y -= height;
+                return (
+                  <rect
+                    key={segment.key}
+                    x={x}
+                    y={y}
+                    width={BAR_WIDTH}
+                    height={height}
+                    rx="3"
+                    fill={segment.color}
+                  >
+                    <title>{segment.title}</title>
+                  </rect>
+                );
+              })}
+            {sum > 0 && (
+              <text x={center} y={y - 4} className="chart-value">
+                {formatValue(sum)}
+              </text>
+            )}
+            <text x={center} y={axis + 15} className="chart-label">
+              {bar.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+const ROW_HEIGHT = 26;
+const LABEL_WIDTH = 180;
+const PLOT_WIDTH = 260;
+const MAX_LABEL_LENGTH = 26;
+
+// For long labels, such as book titles: one row per bar
+export function HorizontalBarChart({
+  bars,
+  label,
+  formatValue = defaultFormat,
+  ...props
+}) {
+  const top = Math.max(1, ...bars.map(total));
+
+  return (
+    <svg
+      className="bar-chart"
+      viewBox={`0 0 ${LABEL_WIDTH + PLOT_WIDTH + 40} ${
+        bars.length * ROW_HEIGHT
+      }`}
+      role="img"
+      aria-label={label}
+      {...props}
+    >
+      {bars.map((bar, i) => {
+        const y = i * ROW_HEIGHT;
+        const sum = total(bar);
+        let x = LABEL_WIDTH;
+        return (
+          <g key={bar.key}>
+            <text
+              x={LABEL_WIDTH - 8}
+              y={y + ROW_HEIGHT / 2 + 4}
+              className="chart-label chart-label-start"
+            >
+              <title>{bar.label}</title>
+              {bar.label.length > MAX_LABEL_LENGTH
+                ? `${bar.label.slice(0, MAX_LABEL_LENGTH - 1)}…`
+                : bar.label}
+            </text>
+            {bar.segments.map((segment) => {
+              const width = (segment.value / top) * PLOT_WIDTH;
+              x += width;
+              return (
+                <rect
+                  key={segment.key}
+                  x={x - width}
+                  y={y + 4}
+                  width={width}
+                  height={ROW_HEIGHT - 8}
+                  rx="3"
+                  fill={segment.color}
+                >
+                  <title>{segment.title}</title>
+                </rect>
+              );
+            })}
+            <text
+              x={x + 6}
+              y={y + ROW_HEIGHT / 2 + 4}
+              className="chart-value chart-value-end"
+            >
+              {formatValue(sum)}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,141 @@
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormMessage,
+} from "@/components/ui/form";
+import { CoverInput } from "@/components/CoverInput";
+import { bookFormSchema, toBookData } from "@/lib/book-form";
+
+/**
+ * The fields of the add and edit book dialogs. `onSubmit` gets the book
+ * data ready to send (see toBookData). `testIdPrefix` keeps the add ("")
+ * and edit ("edit-") dialogs' test ids apart.
+ */
+export function BookForm({
+  defaultValues,
+  onSubmit,
+  submitLabel,
+  testIdPrefix = "",
+}) {
+  const form = useForm({
+    resolver: zodResolver(bookFormSchema),
+    defaultValues,
+  });
+
+  const textField = (name, placeholder, props = {}) => {
+    const testId = `${testIdPrefix}book-${name.replace("_", "-")}-input`;
+    return (
+      <FormField
+        control={form.control}
+        name={name}
+        render={({ field }) => (
+          <FormItem>
+            <FormControl>
+              <Input
+                placeholder={placeholder}
+                data-testid={testId}
+                {...props}
+                {...field}
+              />
+            </FormControl>
+            <FormMessage />
+          </FormItem>
+        )}
+      />
+    );
+  };
+
+  return (
+    <Form {...form}>
+      <form
+        className="space-y-4"
+        onSubmit={form.handleSubmit((values) => onSubmit(toBookData(values)))}
+        noValidate
+      >
+        {textField("title", "Book Title")}
+        {textField("authors", "Authors, comma separated")}
+        <div className="book-form-row">
+          <FormField
+            control={form.control}
+            name="status"
+            render={({ field }) => (
+              <FormItem>
+                <Select value={field.value} onValueChange={field.onChange}>
+                  <FormControl>
+                    <SelectTrigger
+                      data-testid={`${testIdPrefix}book-status-select`}
+                    >
+                      <SelectValue />
+                    </SelectTrigger>
+                  </FormControl>
+                  <SelectContent>
+                    <SelectItem value="To Read" data-testid="status-to-read">
+                      To Read
+                    </SelectItem>
+                    <SelectItem value="Reading" data-testid="status-reading">
+                      Reading
+                    </SelectItem>
+                    <SelectItem
+                      value="Completed"
+                      data-testid="status-completed"
+                    >
+                      Completed
+                    </SelectItem>
+                  </SelectContent>
+                </Select>
+              </FormItem>
+            )}
+          />
+          {textField("rating", "Rating (1.0-10.0)", {
+            type: "number",
+            step: "0.1",
+            min: "1",
+            max: "10",
+          })}
+        </div>
+        <div className="book-form-row">
+          {textField("pages", "Pages", { type: "number", min: "1" })}
+          {textField("year", "Year", { type: "number" })}
+          {textField("isbn", "ISBN")}
+        </div>
+        {textField("genres", "Genres / tags, comma separated")}
+        <FormField
+          control={form.control}
+          name="cover_url"
+          render={({ field }) => (
+            <FormItem>
+              <CoverInput
+                value={field.value}
+                onChange={field.onChange}
+                onBlur={field.onBlur}
+                testIdPrefix={testIdPrefix}
+              />
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+        <Button
+          type="submit"
+          className="w-full"
+          disabled={form.formState.isSubmitting}
+          data-testid={`submit-${testIdPrefix}book-btn`}
+        >
+          {submitLabel}
+        </Button>
+      </form>
+    </Form>
+  );
+}
@@ -0,0 +1,18 @@
+import { Progress } from "@/components/ui/progress";
+
+// How far into a book the reader is; clicking it logs more progress
+export function BookProgress({ percent, onClick, ...props }) {
+  const known = percent !== null;
+  return (
+    <button
+      type="button"
+      className="book-progress"
+      onClick={onClick}
+      title="Log progress"
+      {...props}
+    >
+      <Progress value={known ? percent : 0} className="book-progress-bar" />
+      <span>{known ? `${Math.round(percent)}%` : "Log progress"}</span>
+    </button>
+  );
+}
@@ -0,0 +1,125 @@
+import { useRef, useState } from "react";
+import { ImagePlus, Loader2, X } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import * as api from "@/api";
+import { coverSrc, isImageFile, makeCoverThumbnail } from "@/lib/covers";
+
+/**
+ * A book's cover: an image dropped on it, picked, or pasted anywhere inside
+ * is shrunk to a thumbnail and uploaded, or a link can be typed in.
+ * `value` and `onChange` carry the cover url like a text input's would.
+ */
+export function CoverInput({ value, onChange, onBlur, testIdPrefix = "" }) {
+  const fileInputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  const isLink = /^https?:\/\//i.test(value);
+
+  const upload = async (file) => {
+    if (!isImageFile(file)) {
+      toast.error("Covers have to be images");
+      return;
+    }
+    setUploading(true);
+    try {
+      const thumbnail = await makeCoverThumbnail(file);
+      const { url } = await api.uploadCover(thumbnail);
+      onChange(url);
+    } catch (e) {
+      console.error(e);
+      toast.error(
+        e.isNetworkError
+          ? "Covers can only be uploaded while online"
+          : `Failed to upload cover: ${e.message}`,
+      );
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const onPaste = (e) => {
+    const file = [...e.clipboardData.files].find(isImageFile);
+    if (!file) return;
+    e.preventDefault();
+    upload(file);
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    const [file] = e.dataTransfer.files;
+    if (file) upload(file);
+  };
+
+  return (
+    <div className="cover-input" onPaste={onPaste}>
+      <div
+        className={`cover-drop-zone${dragging ? " dragging" : ""}`}
+        role="button"
+        tabIndex={0}
+        onClick={() => fileInputRef.current?.click()}
+        onKeyDown={(e) => {
+          if (e.key !== "Enter" && e.key !== " ") return;
+          e.preventDefault();
+          fileInputRef.current?.click();
+        }}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+        title="Drop, paste or pick a cover image"
+        data-testid={`${testIdPrefix}book-cover-drop`}
+      >
+        {uploading ? (
+          <Loader2 className="w-5 h-5 animate-spin" />
+        ) : value ? (
+          <img src={coverSrc(value)} alt="Cover" />
+        ) : (
+          <ImagePlus className="w-5 h-5" />
+        )}
+      </div>
+      <div className="cover-input-fields">
+        <Input
+          type="url"
+          placeholder={
+            value && !isLink ? "Uploaded image" : "Cover image URL"
+          }
+          value={isLink ? value : ""}
+          onChange={(e) => onChange(e.target.value)}
+          onBlur={onBlur}
+          data-testid={`${testIdPrefix}book-cover-url-input`}
+        />
+        <p className="dialog-hint">
+          Or drop, paste or pick an image
+          {value && (
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => onChange("")}
+              data-testid={`${testIdPrefix}book-cover-remove`}
+            >
+              <X className="w-4 h-4" /> Remove
+            </Button>
+          )}
+        </p>
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*"
+        hidden
+        onChange={(e) => {
+          const [file] = e.target.files;
+          e.target.value = "";
+          if (file) upload(file);
+        }}
+        data-testid={`${testIdPrefix}book-cover-file`}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,277 @@
+import { useRef, useState } from "react";
+import { FileUp, Hexagon } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useLibrary } from "@/context/LibraryContext";
+import { BOOK_STATUSES } from "@/lib/books";
+import {
+  MAX_IMPORT,
+  SKIP_SHELF,
+  guessShelfStatus,
+  markDuplicates,
+  readExport,
+  shelvesOf,
+  toImportedBook,
+} from "@/lib/csv-import";
+
+function PickFile({ onRead }) {
+  const fileInputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+
+  const read = async (file) => {
+    try {
+      onRead(readExport(await file.text()));
+    } catch (e) {
+      console.error(e);
+      toast.error(e.message);
+    }
+  };
+
+  return (
+    <>
+      <p className="dialog-hint">
+        Export your library from Goodreads (My Books, then Import and export)
+        or StoryGraph (Manage Account, then Export StoryGraph Library) and
+        pick the CSV file here.
+      </p>
+      <div
+        className={`file-drop-zone${dragging ? " dragging" : ""}`}
+        role="button"
+        tabIndex={0}
+        onClick={() => fileInputRef.current?.click()}
+        onKeyDown={(e) => {
+          if (e.key !== "Enter" && e.key !== " ") return;
+          e.preventDefault();
+          fileInputRef.current?.click();
+        }}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          const [file] = e.dataTransfer.files;
+          if (file) read(file);
+        }}
+        data-testid="csv-import-drop"
+      >
+        <FileUp className="w-6 h-6" />
+        Drop or pick a CSV export
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="text/csv,.csv"
+        hidden
+        onChange={(e) => {
+          const [file] = e.target.files;
+          e.target.value = "";
+          if (file) read(file);
+        }}
+        data-testid="csv-import-file"
+      />
+    </>
+  );
+}
+
+function ReviewImport({ format, candidates, onBack, onImport }) {
+  const shelves = shelvesOf(candidates);
+  const [shelfStatuses, setShelfStatuses] = useState(() =>
+    Object.fromEntries(shelves.map((s) => [s, guessShelfStatus(s)])),
+  );
+  // Duplicates are left out unless picked
+  const [selected, setSelected] = useState(
+    () =>
+      new Set(candidates.filter((c) => !c.duplicate).map((c) => c.key)),
+  );
+  const [importing, setImporting] = useState(false);
+
+  const included = candidates.filter(
+    (c) => selected.has(c.key) && shelfStatuses[c.shelf] !== SKIP_SHELF,
+  );
+  const duplicates = candidates.filter((c) => c.duplicate).length;
+
+  const toggle = (key, checked) => {
+    const next = new Set(selected);
+    if (checked) next.add(key);
+    else next.delete(key);
+    setSelected(next);
+  };
+
+  const submit = async () => {
+    setImporting(true);
+    const imported = await onImport(
+      included.map((c) => toImportedBook(c, shelfStatuses[c.shelf])),
+    );
+    if (!imported) setImporting(false);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="dialog-hint">
+        {candidates.length} books from {format}
+        {duplicates > 0 &&
+          `, ${duplicates} of them already in your list or repeated`}
+        . Choose what each shelf means:
+      </p>
+      <div className="csv-shelves">
+        {shelves.map((shelf) => (
+          <div key={shelf} className="csv-shelf">
+            <span>
+              {shelf}{" "}
+              <span className="csv-count">
+                ({candidates.filter((c) => c.shelf === shelf).length})
+              </span>
+            </span>
+            <Select
+              value={shelfStatuses[shelf]}
+              onValueChange={(value) =>
+                setShelfStatuses({ ...shelfStatuses, [shelf]: value })
+              }
+            >
+              <SelectTrigger data-testid={`csv-shelf-${shelf}`}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {BOOK_STATUSES.map((status) => (
+                  <SelectItem key={status} value={status}>
+                    {status}
+                  </SelectItem>
+                ))}
+                <SelectItem value={SKIP_SHELF}>Don't import</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        ))}
+      </div>
+
+      <ul className="csv-preview" data-testid="csv-import-preview">
+        {candidates.map((candidate) => {
+          const status = shelfStatuses[candidate.shelf];
+          const skipped = status === SKIP_SHELF;
+          return (
+            <li
+              key={candidate.key}
+              className={skipped ? "skipped" : undefined}
+              data-testid={`csv-row-${candidate.key}`}
+            >
+              <Checkbox
+                checked={!skipped && selected.has(candidate.key)}
+                disabled={skipped}
+                onCheckedChange={(checked) => toggle(candidate.key, checked)}
+                aria-label={`Import ${candidate.title}`}
+              />
+              <div className="csv-book">
+                <span className="csv-title">{candidate.title}</span>
+                {candidate.authors.length > 0 && (
+                  <span className="csv-authors">
+                    {candidate.authors.join(", ")}
+                  </span>
+                )}
+                {candidate.duplicate && (
+                  <span className="csv-duplicate">
+                    Duplicate of "{candidate.duplicate}"
+                  </span>
+                )}
+              </div>
+              <span className="csv-status">
+                {skipped ? "Skipped" : status}
+              </span>
+              <span className="csv-rating">
+                {candidate.rating !== null && (
+                  <>
+                    <Hexagon className="w-3 h-3" fill="currentColor" />
+                    {candidate.rating.toFixed(1)}
+                  </>
+                )}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+
+      {included.length > MAX_IMPORT && (
+        <p className="dialog-hint">
+          Up to {MAX_IMPORT} books can be imported at once.
+        </p>
+      )}
+      <div className="wizard-actions">
+        <Button variant="ghost" onClick={onBack} disabled={importing}>
+          Back
+        </Button>
+        <Button
+          className="w-full"
+          onClick={submit}
+          disabled={
+            importing ||
+            included.length === 0 ||
+            included.length > MAX_IMPORT
+          }
+          data-testid="csv-import-submit"
+        >
+          Import {included.length} {included.length === 1 ? "book" : "books"}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function ImportWizard({ onClose }) {
+  const { books, importBooks } = useLibrary();
+  const [parsed, setParsed] = useState(null);
+
+  // Duplicates are checked against the library as the file is read
+  const read = ({ format, books: candidates }) =>
+    setParsed({ format, candidates: markDuplicates(candidates, books) });
+
+  const submit = async (items) => {
+    const imported = await importBooks(items);
+    if (imported) onClose();
+    return imported;
+  };
+
+  return parsed ? (
+    <ReviewImport
+      format={parsed.format}
+      candidates={parsed.candidates}
+      onBack={() => setParsed(null)}
+      onImport={submit}
+    />
+  ) : (
+    <PickFile onRead={read} />
+  );
+}
+
+// Adds books from a Goodreads or StoryGraph export as the signed-in
+// reader's: pick the file, map its shelves, then review and import
+export function CsvImportDialog({ open, onClose }) {
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent
+        className="dialog-content wide-dialog"
+        data-testid="csv-import-dialog"
+      >
+        <DialogHeader>
+          <DialogTitle>Import from Goodreads or StoryGraph</DialogTitle>
+        </DialogHeader>
+        {open && <ImportWizard onClose={onClose} />}
+      </DialogContent>
+    </Dialog>
+  );
+}
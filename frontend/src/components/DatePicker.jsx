@@ -0,0 +1,41 @@
+import { useState } from "react";
+import { format, parseISO } from "date-fns";
+import { CalendarDays } from "lucide-react";
+import { Calendar } from "@/components/ui/calendar";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { formatDate } from "@/lib/dates";
+
+/**
+ * A day picked from a calendar popover. `value` is YYYY-MM-DD or null, and
+ * `onChange` gets the newly picked day in the same form.
+ */
+export function DatePicker({ value, onChange, placeholder = "—", ...props }) {
+  const [open, setOpen] = useState(false);
+  const selected = value ? parseISO(value) : undefined;
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger className="date-picker-trigger" {...props}>
+        {value ? formatDate(value) : placeholder}
+        <CalendarDays className="w-3 h-3" />
+      </PopoverTrigger>
+      <PopoverContent className="date-picker-content w-auto p-0">
+        <Calendar
+          mode="single"
+          selected={selected}
+          defaultMonth={selected}
+          disabled={{ after: new Date() }}
+          onSelect={(day) => {
+            setOpen(false);
+            if (day) onChange(format(day, "yyyy-MM-dd"));
+          }}
+          initialFocus
+        />
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -0,0 +1,131 @@
+import { useState } from "react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import { Label } from "@/components/ui/label";
+import { useLibrary } from "@/context/LibraryContext";
+
+const DEFAULT_FORM = { quotes: "delete", targetBookId: "" };
+
+/**
+ * Open while `book` is set. The book disappears as soon as the delete is
+ * confirmed, so `onConfirm` (defaulting to `onClose`) runs first and should
+ * navigate away from anything that shows it.
+ */
+export function DeleteBookDialog({ book, onClose, onConfirm = onClose }) {
+  const { books, quotes, deleteBook } = useLibrary();
+  const [form, setForm] = useState(DEFAULT_FORM);
+  const [formFor, setFormFor] = useState(null);
+
+  const bookId = book?.id ?? null;
+  if (formFor !== bookId) {
+    if (book) setForm(DEFAULT_FORM);
+    setFormFor(bookId);
+  }
+
+  // Blank placeholder quotes are removed with their book regardless
+  const quoteCount = quotes.filter(
+    (q) => q.book_id === bookId && q.text,
+  ).length;
+  const moveTargets = books.filter((b) => b.id !== bookId);
+
+  const submit = async () => {
+    if (form.quotes === "move" && !form.targetBookId) {
+      toast.error("Choose a book to move the quotes to");
+      return;
+    }
+    onConfirm();
+    await deleteBook(bookId, form);
+  };
+
+  return (
+    <Dialog open={book !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent
+        className="dialog-content"
+        data-testid="delete-book-dialog"
+      >
+        <DialogHeader>
+          <DialogTitle>Delete "{book?.title}"?</DialogTitle>
+        </DialogHeader>
+        <div className="space-y-4">
+          {quoteCount > 0 && (
+            <>
+              <p className="dialog-hint">
+                This book has {quoteCount}{" "}
+                {quoteCount === 1 ? "quote" : "quotes"}. What should happen
+                to {quoteCount === 1 ? "it" : "them"}?
+              </p>
+              <RadioGroup
+                className="delete-options"
+                value={form.quotes}
+                onValueChange={(value) => setForm({ ...form, quotes: value })}
+              >
+                <Label className="delete-option">
+                  <RadioGroupItem
+                    value="delete"
+                    data-testid="delete-quotes-option"
+                  />
+                  Delete quotes too
+                </Label>
+                <Label className="delete-option">
+                  <RadioGroupItem
+                    value="orphan"
+                    data-testid="orphan-quotes-option"
+                  />
+                  Keep as orphaned quotes
+                </Label>
+                <Label className="delete-option">
+                  <RadioGroupItem
+                    value="move"
+                    disabled={moveTargets.length === 0}
+                    data-testid="move-quotes-option"
+                  />
+                  Move to another book
+                </Label>
+              </RadioGroup>
+              {form.quotes === "move" && (
+                <Select
+                  value={form.targetBookId}
+                  onValueChange={(value) =>
+                    setForm({ ...form, targetBookId: value })
+                  }
+                >
+                  <SelectTrigger data-testid="move-quotes-target-select">
+                    <SelectValue placeholder="Select a book" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {moveTargets.map((target) => (
+                      <SelectItem key={target.id} value={target.id}>
+                        {target.title}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+            </>
+          )}
+          <Button
+            onClick={submit}
+            className="w-full"
+            data-testid="confirm-delete-book-btn"
+          >
+            Delete Book
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
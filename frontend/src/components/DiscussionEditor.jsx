@@ -0,0 +1,53 @@
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Textarea } from "@/components/ui/textarea";
+import { Markdown } from "@/components/Markdown";
+
+// A quote's Markdown discussion, with a tab showing how it will render.
+// `onChange` gets the new text.
+export function DiscussionEditor({
+  value,
+  onChange,
+  placeholder,
+  rows,
+  inputTestId,
+  testIdPrefix = "",
+}) {
+  return (
+    <Tabs defaultValue="write" className="discussion-editor">
+      <TabsList className="discussion-editor-tabs">
+        <TabsTrigger
+          value="write"
+          data-testid={`${testIdPrefix}discussion-write-tab`}
+        >
+          Write
+        </TabsTrigger>
+        <TabsTrigger
+          value="preview"
+          data-testid={`${testIdPrefix}discussion-preview-tab`}
+        >
+          Preview
+        </TabsTrigger>
+      </TabsList>
+      <TabsContent value="write">
+        <Textarea
+          data-testid={inputTestId}
+          placeholder={placeholder}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          rows={rows}
+        />
+      </TabsContent>
+      <TabsContent value="preview">
+        {value.trim() ? (
+          <Markdown
+            source={value}
+            className="discussion-text discussion-preview"
+            data-testid={`${testIdPrefix}quote-discussion-preview`}
+          />
+        ) : (
+          <p className="discussion-preview-empty">Nothing to preview yet.</p>
+        )}
+      </TabsContent>
+    </Tabs>
+  );
+}
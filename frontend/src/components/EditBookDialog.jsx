@@ -0,0 +1,45 @@
+import { useRef } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { BookForm } from "@/components/BookForm";
+import { useLibrary } from "@/context/LibraryContext";
+import { bookFormValues, toBookUpdate } from "@/lib/book-form";
+
+// Open while `book` is set. The form is mounted afresh each time it opens.
+export function EditBookDialog({ book, onClose }) {
+  const { currentUserId, updateBook } = useLibrary();
+
+  // Keep showing the book while the dialog animates closed
+  const lastBook = useRef(book);
+  if (book) lastBook.current = book;
+  const shown = book || lastBook.current;
+  const initialValues = shown && bookFormValues(shown, currentUserId);
+
+  // A blank rating clears the reader's rating
+  const submit = async (data) => {
+    const update = toBookUpdate(data, initialValues);
+    if (await updateBook(shown.id, update)) onClose();
+  };
+
+  return (
+    <Dialog open={book !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="dialog-content" data-testid="edit-book-dialog">
+        <DialogHeader>
+          <DialogTitle>Edit Book</DialogTitle>
+        </DialogHeader>
+        {shown && (
+          <BookForm
+            defaultValues={initialValues}
+            onSubmit={submit}
+            submitLabel="Update Book"
+            testIdPrefix="edit-"
+          />
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,131 @@
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormMessage,
+} from "@/components/ui/form";
+import { useLibrary } from "@/context/LibraryContext";
+import { goalFor, goalForm, goalFormSchema } from "@/lib/goals";
+
+function GoalForm({ goal, onSubmit, onRemove }) {
+  const form = useForm({
+    resolver: zodResolver(goalFormSchema),
+    defaultValues: goalForm(goal),
+  });
+
+  return (
+    <Form {...form}>
+      <form
+        className="space-y-4"
+        onSubmit={form.handleSubmit(onSubmit)}
+        noValidate
+      >
+        <div className="book-form-row">
+          <FormField
+            control={form.control}
+            name="target"
+            render={({ field }) => (
+              <FormItem>
+                <FormControl>
+                  <Input
+                    type="number"
+                    min="1"
+                    placeholder="Books this year"
+                    data-testid="goal-target"
+                    {...field}
+                  />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+          <FormField
+            control={form.control}
+            name="monthlyTarget"
+            render={({ field }) => (
+              <FormItem>
+                <FormControl>
+                  <Input
+                    type="number"
+                    min="1"
+                    placeholder="Each month (optional)"
+                    data-testid="goal-monthly-target"
+                    {...field}
+                  />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        </div>
+        <div className="goal-form-actions">
+          {goal && (
+            <Button
+              type="button"
+              variant="ghost"
+              onClick={onRemove}
+              data-testid="remove-goal-btn"
+            >
+              Remove Goal
+            </Button>
+          )}
+          <Button
+            type="submit"
+            disabled={form.formState.isSubmitting}
+            data-testid="submit-goal-btn"
+          >
+            Save Goal
+          </Button>
+        </div>
+      </form>
+    </Form>
+  );
+}
+
+// Sets the signed-in reader's goal for the current year
+export function GoalDialog({ open, onClose }) {
+  const { goals, currentUserId, setGoal } = useLibrary();
+  const year = new Date().getFullYear();
+  const goal = goalFor(goals, currentUserId, year);
+
+  const submit = async ({ target, monthlyTarget }) => {
+    const saved = await setGoal(
+      year,
+      Number(target),
+      monthlyTarget ? Number(monthlyTarget) : null,
+    );
+    if (saved) onClose();
+  };
+
+  const remove = async () => {
+    if (await setGoal(year, null)) onClose();
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="dialog-content" data-testid="goal-dialog">
+        <DialogHeader>
+          <DialogTitle>Your {year} reading goal</DialogTitle>
+        </DialogHeader>
+        <p className="dialog-hint">
+          Books count once you mark them completed with a finish date in
+          the period.
+        </p>
+        {open && (
+          <GoalForm goal={goal} onSubmit={submit} onRemove={remove} />
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
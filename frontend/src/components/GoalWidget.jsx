@@ -0,0 +1,100 @@
+import { useMemo } from "react";
+import { Target } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import { ReaderAvatar } from "@/components/ReaderAvatar";
+import { useLibrary } from "@/context/LibraryContext";
+import { goalFor, goalProgress } from "@/lib/goals";
+import { readerColor } from "@/lib/users";
+
+function paceLabel({ pace, behindBy }) {
+  if (pace === "behind") {
+    return `behind by ${behindBy} ${behindBy === 1 ? "book" : "books"}`;
+  }
+  return pace === "reached" ? "goal reached" : pace;
+}
+
+function GoalLine({ label, progress, testId }) {
+  return (
+    <div className="goal-line" data-testid={testId}>
+      <span className="goal-period">{label}</span>
+      <Progress value={progress.percent} className="book-progress-bar" />
+      <span className="goal-count">
+        {progress.done} / {progress.target}
+      </span>
+      <span className={`goal-pace ${progress.pace.replace(" ", "-")}`}>
+        {paceLabel(progress)}
+      </span>
+    </div>
+  );
+}
+
+// This year's goals for every reader who set one; `onEdit` opens the
+// signed-in reader's
+export function GoalWidget({ onEdit }) {
+  const { books, users, goals, currentUserId, loading } = useLibrary();
+  const year = new Date().getFullYear();
+
+  // The signed-in reader's goal comes first
+  const rows = useMemo(
+    () =>
+      [
+        ...users.filter((user) => user.id === currentUserId),
+        ...users.filter((user) => user.id !== currentUserId),
+      ]
+        .map((user) => ({ user, goal: goalFor(goals, user.id, year) }))
+        .filter(({ goal }) => goal)
+        .map(({ user, goal }) => ({ user, ...goalProgress(goal, books) })),
+    [users, goals, books, year, currentUserId],
+  );
+  const hasOwnGoal = rows.some(({ user }) => user.id === currentUserId);
+
+  if (loading) return null;
+
+  return (
+    <section className="goal-widget" data-testid="goal-widget">
+      <div className="goal-widget-header">
+        <h3>{year} goals</h3>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={onEdit}
+          data-testid="edit-goal-btn"
+        >
+          <Target className="w-4 h-4" />
+          {hasOwnGoal ? "Edit my goal" : "Set a goal"}
+        </Button>
+      </div>
+      {rows.length === 0 ? (
+        <p className="dialog-hint">
+          How many books will you finish this year?
+        </p>
+      ) : (
+        rows.map(({ user, year: yearly, month }) => (
+          <div
+            key={user.id}
+            className="goal-reader"
+            style={{ "--reader-color": readerColor(user) }}
+            data-testid={`goal-${user.id}`}
+          >
+            <ReaderAvatar user={user} className="reader-avatar-sm" />
+            <div className="goal-lines">
+              <GoalLine
+                label="Year"
+                progress={yearly}
+                testId={`goal-year-${user.id}`}
+              />
+              {month && (
+                <GoalLine
+                  label="Month"
+                  progress={month}
+                  testId={`goal-month-${user.id}`}
+                />
+              )}
+            </div>
+          </div>
+        ))
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,68 @@
+import { Hexagon } from "lucide-react";
+import { ReaderAvatar } from "@/components/ReaderAvatar";
+import { averageRating } from "@/lib/books";
+import { readerColor } from "@/lib/users";
+
+export function HexagonRating({ rating }) {
+  if (rating === null || rating === undefined) {
+    return <span className="no-rating">Not rated</span>;
+  }
+  const fullHexagons = Math.floor(rating);
+  const hasFractional = rating % 1 !== 0;
+
+  return (
+    <div className="flex gap-1">
+      {Array.from({ length: fullHexagons }).map((_, i) => (
+        <Hexagon key={`full-${i}`} className="w-4 h-4" fill="currentColor" />
+      ))}
+      {hasFractional && (
+        <Hexagon
+          key="fractional"
+          className="w-4 h-4"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+        />
+      )}
+    </div>
+  );
+}
+
+// Every reader's hexagons side by side, followed by the average
+export function ReaderRatings({ book, users }) {
+  const rated = users.filter(
+    (user) => typeof book.readings?.[user.id]?.rating === "number",
+  );
+  if (rated.length === 0) {
+    return (
+      <div className="hexagon-rating">
+        <HexagonRating rating={null} />
+      </div>
+    );
+  }
+  const average = averageRating(book);
+
+  return (
+    <div className="reader-ratings">
+      {rated.map((user) => (
+        <div
+          key={user.id}
+          className="hexagon-rating"
+          style={{ "--reader-color": readerColor(user) }}
+          title={`${user.name}: ${book.readings[user.id].rating}`}
+        >
+          <ReaderAvatar user={user} className="reader-avatar-xs" />
+          <HexagonRating rating={book.readings[user.id].rating} />
+        </div>
+      ))}
+      {rated.length > 1 && (
+        <span
+          className="average-rating"
+          data-testid={`book-average-rating-${book.number}`}
+        >
+          avg {average.toFixed(1)}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { toast } from "sonner";
+import * as api from "@/api";
+
+const NEW_READER = "new";
+
+export function LoginScreen({ onAuthenticated }) {
+  const [setup, setSetup] = useState(null);
+  const [form, setForm] = useState({
+    username: "",
+    password: "",
+    name: "",
+    user_id: NEW_READER,
+  });
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api
+      .getAuthSetup({ signal: controller.signal })
+      .then(setSetup)
+      .catch((e) => {
+        if (e.aborted) return;
+        console.error(e);
+        setSetup({ needs_setup: false, unclaimed_users: [] });
+      });
+    return () => controller.abort();
+  }, []);
+
+  const needsSetup = setup?.needs_setup;
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!form.username.trim() || !form.password) {
+      toast.error("Username and password are required");
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const session = needsSetup
+        ? await api.register({
+            username: form.username,
+            password: form.password,
+            name: form.name || undefined,
+            user_id: form.user_id === NEW_READER ? undefined : form.user_id,
+          })
+        : await api.login({
+            username: form.username,
+            password: form.password,
+          });
+      onAuthenticated(session);
+    } catch (e) {
+      console.error(e);
+      toast.error(
+        (typeof e.detail === "string" && e.detail) ||
+          (needsSetup ? "Failed to create account" : "Failed to sign in"),
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      className="dialog-content login-card space-y-4"
+      onSubmit={submit}
+      data-testid="login-form"
+    >
+      <h2>{needsSetup ? "Create the first account" : "Sign in"}</h2>
+      {needsSetup && (
+        <>
+          <p className="dialog-hint">
+            No one has a login yet. Pick which reader you are, or start a new
+            one.
+          </p>
+          <Select
+            value={form.user_id}
+            onValueChange={(value) => setForm({ ...form, user_id: value })}
+          >
+            <SelectTrigger data-testid="login-reader-select">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NEW_READER}>New reader</SelectItem>
+              {setup.unclaimed_users.map((user) => (
+                <SelectItem key={user.id} value={user.id}>
+                  {user.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {form.user_id === NEW_READER && (
+            <Input
+              placeholder="Display name"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              data-testid="login-name-input"
+            />
+          )}
+        </>
+      )}
+      <Input
+        placeholder="Username"
+        autoComplete="username"
+        value={form.username}
+        onChange={(e) => setForm({ ...form, username: e.target.value })}
+        data-testid="login-username-input"
+      />
+      <Input
+        type="password"
+        placeholder="Password"
+        autoComplete={needsSetup ? "new-password" : "current-password"}
+        value={form.password}
+        onChange={(e) => setForm({ ...form, password: e.target.value })}
+        data-testid="login-password-input"
+      />
+      <Button
+        type="submit"
+        className="w-full"
+        disabled={submitting || setup === null}
+        data-testid="login-submit-btn"
+      >
+        {needsSetup ? "Create Account" : "Sign In"}
+      </Button>
+    </form>
+  );
+}
@@ -0,0 +1,16 @@
+import { useMemo } from "react";
+import { renderMarkdown } from "@/lib/markdown";
+import { cn } from "@/lib/utils";
+
+export function Markdown({ source, className, ...props }) {
+  const html = useMemo(() => renderMarkdown(source), [source]);
+
+  return (
+    <div
+      className={cn("markdown-body", className)}
+      // renderMarkdown() sanitizes its output with DOMPurify
+      dangerouslySetInnerHTML={{ __html: html }}
+      {...props}
+    />
+  );
+}
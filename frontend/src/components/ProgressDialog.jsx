@@ -0,0 +1,164 @@
+import { useRef } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormMessage,
+} from "@/components/ui/form";
+import { useLibrary } from "@/context/LibraryContext";
+import {
+  currentProgress,
+  emptyProgressForm,
+  progressFormSchema,
+  toProgressData,
+} from "@/lib/progress";
+
+function ProgressForm({ book, onSubmit }) {
+  const form = useForm({
+    resolver: zodResolver(progressFormSchema),
+    defaultValues: emptyProgressForm(book),
+  });
+  const unit = form.watch("unit");
+
+  return (
+    <Form {...form}>
+      <form
+        className="space-y-4"
+        onSubmit={form.handleSubmit((values) =>
+          onSubmit(toProgressData(values)),
+        )}
+        noValidate
+      >
+        <div className="book-form-row">
+          <FormField
+            control={form.control}
+            name="date"
+            render={({ field }) => (
+              <FormItem>
+                <FormControl>
+                  <Input type="date" data-testid="progress-date" {...field} />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+          <FormField
+            control={form.control}
+            name="amount"
+            render={({ field }) => (
+              <FormItem>
+                <FormControl>
+                  <Input
+                    type="number"
+                    min="0"
+                    max={unit === "percent" ? "100" : book.pages || undefined}
+                    placeholder={unit === "page" ? "Page" : "Percent"}
+                    data-testid="progress-amount"
+                    {...field}
+                  />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+          <FormField
+            control={form.control}
+            name="unit"
+            render={({ field }) => (
+              <FormItem>
+                <Select value={field.value} onValueChange={field.onChange}>
+                  <FormControl>
+                    <SelectTrigger data-testid="progress-unit">
+                      <SelectValue />
+                    </SelectTrigger>
+                  </FormControl>
+                  <SelectContent>
+                    <SelectItem value="page">
+                      {book.pages ? `of ${book.pages} pages` : "page"}
+                    </SelectItem>
+                    <SelectItem value="percent">%</SelectItem>
+                  </SelectContent>
+                </Select>
+              </FormItem>
+            )}
+          />
+        </div>
+        <FormField
+          control={form.control}
+          name="note"
+          render={({ field }) => (
+            <FormItem>
+              <FormControl>
+                <Textarea
+                  placeholder="Note (optional)"
+                  rows={3}
+                  data-testid="progress-note"
+                  {...field}
+                />
+              </FormControl>
+            </FormItem>
+          )}
+        />
+        <Button
+          type="submit"
+          className="w-full"
+          disabled={form.formState.isSubmitting}
+          data-testid="submit-progress-btn"
+        >
+          Log Progress
+        </Button>
+      </form>
+    </Form>
+  );
+}
+
+// Open while `book` is set. Logs a session for the signed-in reader.
+export function ProgressDialog({ book, onClose }) {
+  const { currentUserId, logProgress } = useLibrary();
+
+  // Keep showing the book while the dialog animates closed
+  const lastBook = useRef(book);
+  if (book) lastBook.current = book;
+  const shown = book || lastBook.current;
+  const percent = shown ? currentProgress(shown, currentUserId) : null;
+
+  const submit = async (data) => {
+    if (await logProgress(shown.id, data)) onClose();
+  };
+
+  return (
+    <Dialog open={book !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="dialog-content" data-testid="progress-dialog">
+        <DialogHeader>
+          <DialogTitle>Reading "{shown?.title}"</DialogTitle>
+        </DialogHeader>
+        {percent !== null && (
+          <p className="dialog-hint">
+            So far you're {Math.round(percent)}% in. Reaching 100% marks the
+            book as completed.
+          </p>
+        )}
+        {shown && <ProgressForm book={shown} onSubmit={submit} />}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,87 @@
+import { useNavigate } from "react-router-dom";
+import { Download, FileText, Printer, Sheet } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { useLibrary } from "@/context/LibraryContext";
+import { downloadFile } from "@/lib/download";
+import {
+  quoteGroups,
+  quotesFileName,
+  quotesToCsv,
+  quotesToMarkdown,
+} from "@/lib/quote-export";
+
+/**
+ * Exports the quotes of `entries` (from `booksWithQuotes`): all of them, or
+ * one book's when `bookId` is set, which also names the files after it.
+ */
+export function QuoteExportMenu({ entries, bookId, compact = false }) {
+  const { books, usersById, getQuotesForBook } = useLibrary();
+  const navigate = useNavigate();
+
+  const download = (extension, type, render) => {
+    const groups = quoteGroups(entries, getQuotesForBook, books);
+    if (groups.length === 0) {
+      toast.error("There are no quotes to export yet");
+      return;
+    }
+    downloadFile(
+      `${quotesFileName(bookId && groups[0].title)}.${extension}`,
+      render(groups, usersById),
+      type,
+    );
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button
+          variant="ghost"
+          size="sm"
+          className={compact ? "quote-export-btn" : "readers-btn"}
+          title="Export quotes"
+          onClick={(e) => e.stopPropagation()}
+          data-testid={
+            bookId ? `export-quotes-${bookId}` : "export-quotes-btn"
+          }
+        >
+          <Download className="w-4 h-4" />
+          {!compact && "Export"}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent
+        align="end"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <DropdownMenuItem
+          onSelect={() =>
+            download("md", "text/markdown", quotesToMarkdown)
+          }
+          data-testid="export-quotes-markdown"
+        >
+          <FileText className="w-4 h-4" /> Markdown
+        </DropdownMenuItem>
+        <DropdownMenuItem
+          onSelect={() => download("csv", "text/csv", quotesToCsv)}
+          data-testid="export-quotes-csv"
+        >
+          <Sheet className="w-4 h-4" /> CSV
+        </DropdownMenuItem>
+        <DropdownMenuItem
+          onSelect={() =>
+            navigate(bookId ? `/print/quotes/${bookId}` : "/print/quotes")
+          }
+          data-testid="export-quotes-print"
+        >
+          <Printer className="w-4 h-4" /> Print or save as PDF
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
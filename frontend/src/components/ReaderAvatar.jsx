@@ -0,0 +1,22 @@
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { readerColor, readerInitials } from "@/lib/users";
+import { cn } from "@/lib/utils";
+
+export function ReaderAvatar({ user, className }) {
+  const color = readerColor(user);
+
+  return (
+    <Avatar
+      className={cn("reader-avatar", className)}
+      style={{ "--reader-color": color }}
+      title={user?.name}
+    >
+      {user?.avatar_url && (
+        <AvatarImage src={user.avatar_url} alt={user.name} />
+      )}
+      <AvatarFallback className="reader-avatar-fallback">
+        {readerInitials(user?.name)}
+      </AvatarFallback>
+    </Avatar>
+  );
+}
@@ -0,0 +1,226 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Check, Edit2, Plus, Trash2, X } from "lucide-react";
+import { toast } from "sonner";
+import { ReaderAvatar } from "@/components/ReaderAvatar";
+import { readerColor } from "@/lib/users";
+
+const EMPTY_READER = {
+  name: "",
+  color: "",
+  avatar_url: "",
+  username: "",
+  password: "",
+};
+
+export function ReadersDialog({
+  open,
+  onOpenChange,
+  users,
+  currentUserId,
+  onAdd,
+  onUpdate,
+  onSetCredentials,
+  onDelete,
+  loginsEnabled = true,
+}) {
+  const [newReader, setNewReader] = useState(EMPTY_READER);
+  const [editing, setEditing] = useState(null);
+
+  const submitNewReader = async () => {
+    if (!newReader.name.trim()) {
+      toast.error("Name is required");
+      return;
+    }
+    // Leaving the color untouched lets the server generate one
+    const created = await onAdd({
+      name: newReader.name.trim(),
+      color: newReader.color || undefined,
+      avatar_url: newReader.avatar_url.trim() || undefined,
+    });
+    if (!created) return;
+    if (newReader.username.trim()) {
+      await onSetCredentials(created.id, {
+        username: newReader.username,
+        password: newReader.password,
+      });
+    }
+    setNewReader(EMPTY_READER);
+  };
+
+  const submitEdit = async () => {
+    if (!editing.name.trim()) {
+      toast.error("Name is required");
+      return;
+    }
+    const saved = await onUpdate(editing.id, {
+      name: editing.name.trim(),
+      color: editing.color,
+      avatar_url: editing.avatar_url.trim(),
+    });
+    if (!saved) return;
+    // The password is only sent when it's being set or changed
+    if (editing.password) {
+      const loginSaved = await onSetCredentials(editing.id, {
+        username: editing.username,
+        password: editing.password,
+      });
+      if (!loginSaved) return;
+    }
+    setEditing(null);
+  };
+
+  // Anyone can create a login for a reader who has none, but an existing
+  // login can only be changed by its owner.
+  const canEditLogin = (user) =>
+    loginsEnabled && (!user?.username || user.id === currentUserId);
+
+  const renderFields = (form, setForm, testId, showLogin) => (
+    <div className="reader-fields">
+      <Input
+        type="color"
+        className="reader-color-input"
+        value={form.color || readerColor(null)}
+        onChange={(e) => setForm({ ...form, color: e.target.value })}
+        aria-label="Accent color"
+        data-testid={`${testId}-color`}
+      />
+      <Input
+        placeholder="Name"
+        value={form.name}
+        onChange={(e) => setForm({ ...form, name: e.target.value })}
+        data-testid={`${testId}-name`}
+      />
+      <Input
+        placeholder="Avatar URL (optional)"
+        value={form.avatar_url}
+        onChange={(e) => setForm({ ...form, avatar_url: e.target.value })}
+        data-testid={`${testId}-avatar`}
+      />
+      {showLogin && (
+        <div className="reader-login">
+          <Input
+            placeholder="Username (optional)"
+            autoComplete="off"
+            value={form.username}
+            onChange={(e) => setForm({ ...form, username: e.target.value })}
+            data-testid={`${testId}-username`}
+          />
+          <Input
+            type="password"
+            placeholder="Password"
+            autoComplete="new-password"
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+            data-testid={`${testId}-password`}
+          />
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="dialog-content" data-testid="readers-dialog">
+        <DialogHeader>
+          <DialogTitle>Readers</DialogTitle>
+        </DialogHeader>
+        <div className="space-y-4">
+          <ul className="readers-list">
+            {users.map((user) =>
+              editing?.id === user.id ? (
+                <li key={user.id} className="reader-item editing">
+                  {renderFields(
+                    editing,
+                    setEditing,
+                    "edit-reader",
+                    canEditLogin(user),
+                  )}
+                  <div className="quote-actions">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setEditing(null)}
+                    >
+                      <X className="w-4 h-4" /> Cancel
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={submitEdit}
+                      data-testid="save-reader-btn"
+                    >
+                      <Check className="w-4 h-4" /> Save
+                    </Button>
+                  </div>
+                </li>
+              ) : (
+                <li
+                  key={user.id}
+                  className="reader-item"
+                  data-testid={`reader-${user.id}`}
+                >
+                  <ReaderAvatar user={user} />
+                  <span
+                    className="reader-name"
+                    style={{ color: readerColor(user) }}
+                  >
+                    {user.name}
+                    {loginsEnabled && (
+                      <span className="reader-username">
+                        {user.username ? `@${user.username}` : "no login"}
+                      </span>
+                    )}
+                  </span>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() =>
+                      setEditing({
+                        id: user.id,
+                        name: user.name,
+                        color: user.color,
+                        avatar_url: user.avatar_url || "",
+                        username: user.username || "",
+                        password: "",
+                      })
+                    }
+                    aria-label={`Edit ${user.name}`}
+                  >
+                    <Edit2 className="w-4 h-4" />
+                  </Button>
+                  {user.id !== currentUserId && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="reader-delete"
+                      onClick={() => onDelete(user)}
+                      aria-label={`Remove ${user.name}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  )}
+                </li>
+              ),
+            )}
+          </ul>
+          {renderFields(newReader, setNewReader, "new-reader", loginsEnabled)}
+          <Button
+            onClick={submitNewReader}
+            className="w-full"
+            data-testid="add-reader-btn"
+          >
+            <Plus className="w-4 h-4" /> Add Reader
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
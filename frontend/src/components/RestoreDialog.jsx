@@ -0,0 +1,310 @@
+import { useRef, useState } from "react";
+import { FileJson } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { useLibrary } from "@/context/LibraryContext";
+import { isLocalDataSource } from "@/lib/data-source";
+import { formatDate } from "@/lib/dates";
+import { BACKUP_TABLES, diffLibrary, readBackup } from "@/lib/library-backup";
+
+const TABLE_NAMES = {
+  books: "Books",
+  quotes: "Quotes",
+  users: "Readers",
+  goals: "Goals",
+};
+
+// How many records each list in the diff names before summing up the rest
+const LISTED = 20;
+
+const excerpt = (text) =>
+  text.length > 60 ? `${text.slice(0, 59).trimEnd()}…` : text;
+
+function PickBackup({ onRead }) {
+  const fileInputRef = useRef(null);
+
+  const read = async (file) => {
+    try {
+      onRead(readBackup(await file.text()));
+    } catch (e) {
+      console.error(e);
+      toast.error(e.message);
+    }
+  };
+
+  return (
+    <>
+      <p className="dialog-hint">
+        Pick a JSON export of this app, from this library or another one.
+        You'll see what it changes before anything is restored.
+      </p>
+      <div
+        className="file-drop-zone"
+        role="button"
+        tabIndex={0}
+        onClick={() => fileInputRef.current?.click()}
+        onKeyDown={(e) => {
+          if (e.key !== "Enter" && e.key !== " ") return;
+          e.preventDefault();
+          fileInputRef.current?.click();
+        }}
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => {
+          e.preventDefault();
+          const [file] = e.dataTransfer.files;
+          if (file) read(file);
+        }}
+        data-testid="restore-drop"
+      >
+        <FileJson className="w-6 h-6" />
+        Drop or pick a library export
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        hidden
+        onChange={(e) => {
+          const [file] = e.target.files;
+          e.target.value = "";
+          if (file) read(file);
+        }}
+        data-testid="restore-file"
+      />
+    </>
+  );
+}
+
+function RecordList({ label, rows, describe }) {
+  if (rows.length === 0) return null;
+  return (
+    <details className="restore-records">
+      <summary>
+        {label}: {rows.length}
+      </summary>
+      <ul>
+        {rows.slice(0, LISTED).map((row, i) => (
+          <li key={i}>{describe(row)}</li>
+        ))}
+        {rows.length > LISTED && <li>and {rows.length - LISTED} more</li>}
+      </ul>
+    </details>
+  );
+}
+
+function ReviewBackup({ backup, onBack, onRestore }) {
+  const { books, quotes, users, goals, currentUser, currentUserId } =
+    useLibrary();
+  const [diff] = useState(() =>
+    diffLibrary({ books, quotes, users, goals }, backup, currentUserId),
+  );
+  const [mode, setMode] = useState("merge");
+  // Without logins, the reader picks who they are in the file, staying
+  // themselves if they're in it
+  const readers = [
+    ...backup.users,
+    ...(backup.users.some((u) => u.id === currentUserId) ? [] : [currentUser]),
+  ];
+  const askWho = isLocalDataSource && backup.users.length > 0;
+  const [me, setMe] = useState(() =>
+    backup.users.some((u) => u.id === currentUserId)
+      ? currentUserId
+      : backup.users[0]?.id,
+  );
+  const [restoring, setRestoring] = useState(false);
+
+  const readerName = (userId) =>
+    [...backup.users, ...users].find((u) => u.id === userId)?.name ||
+    "Unknown reader";
+  const describe = {
+    books: (book) => book.title,
+    quotes: (quote) =>
+      quote.text
+        ? `"${excerpt(quote.text)}"`
+        : `Quote card for "${quote.book_title}"`,
+    users: (user) => user.name,
+    goals: (goal) => `${readerName(goal.user_id)}, ${goal.year}`,
+  };
+  const removed = BACKUP_TABLES.reduce(
+    (sum, table) => sum + diff[table].removed.length,
+    0,
+  );
+
+  const submit = async () => {
+    setRestoring(true);
+    if (!(await onRestore(mode, askWho ? me : undefined))) {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="dialog-hint">
+        {backup.exported_at
+          ? `Exported on ${formatDate(backup.exported_at, "d MMM yyyy, HH:mm")}`
+          : "An undated export"}{" "}
+        in format version {backup.version}.
+      </p>
+      <table className="restore-diff" data-testid="restore-diff">
+        <thead>
+          <tr>
+            <th />
+            <th>New</th>
+            <th>Changed</th>
+            <th>Unchanged</th>
+            <th>Only here</th>
+          </tr>
+        </thead>
+        <tbody>
+          {BACKUP_TABLES.map((table) => (
+            <tr key={table}>
+              <th>{TABLE_NAMES[table]}</th>
+              <td>{diff[table].added.length}</td>
+              <td>{diff[table].changed.length}</td>
+              <td>{diff[table].unchanged}</td>
+              <td>{diff[table].removed.length}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div>
+        {BACKUP_TABLES.flatMap((table) => [
+          <RecordList
+            key={`${table}-added`}
+            label={`New ${TABLE_NAMES[table].toLowerCase()}`}
+            rows={diff[table].added}
+            describe={describe[table]}
+          />,
+          <RecordList
+            key={`${table}-changed`}
+            label={`Changed ${TABLE_NAMES[table].toLowerCase()}`}
+            rows={diff[table].changed}
+            describe={describe[table]}
+          />,
+          <RecordList
+            key={`${table}-removed`}
+            label={`${TABLE_NAMES[table]} only in this library`}
+            rows={diff[table].removed}
+            describe={describe[table]}
+          />,
+        ])}
+      </div>
+
+      <RadioGroup
+        className="delete-options"
+        value={mode}
+        onValueChange={setMode}
+      >
+        <Label className="delete-option">
+          <RadioGroupItem value="merge" data-testid="restore-merge-option" />
+          Merge: add and update records, keep everything else
+        </Label>
+        <Label className="delete-option">
+          <RadioGroupItem
+            value="replace"
+            data-testid="restore-replace-option"
+          />
+          Replace: make the library match the file
+          {removed > 0 && `, deleting ${removed} records only here`}
+        </Label>
+      </RadioGroup>
+      {askWho && (
+        <div className="restore-reader">
+          <Label htmlFor="restore-reader">Which reader are you?</Label>
+          <Select value={me} onValueChange={setMe}>
+            <SelectTrigger id="restore-reader" data-testid="restore-reader">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {readers.map((reader) => (
+                <SelectItem key={reader.id} value={reader.id}>
+                  {reader.id === currentUserId
+                    ? `${reader.name} (as now)`
+                    : reader.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+      {askWho && me !== currentUserId ? (
+        <p className="dialog-hint">
+          {currentUser.name} stays on as a reader only if something in the
+          library is theirs.
+        </p>
+      ) : (
+        mode === "replace" && (
+          <p className="dialog-hint">
+            You stay on as a reader even if the file doesn't have you.
+          </p>
+        )
+      )}
+      <div className="wizard-actions">
+        <Button variant="ghost" onClick={onBack} disabled={restoring}>
+          Back
+        </Button>
+        <Button
+          className="w-full"
+          onClick={submit}
+          disabled={restoring}
+          data-testid="restore-submit"
+        >
+          {mode === "replace" ? "Replace Library" : "Merge Into Library"}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function RestoreWizard({ onClose }) {
+  const { restoreLibrary } = useLibrary();
+  const [backup, setBackup] = useState(null);
+
+  const restore = async (mode, me) => {
+    const restored = await restoreLibrary(backup, mode, me);
+    if (restored) onClose();
+    return restored;
+  };
+
+  return backup ? (
+    <ReviewBackup
+      backup={backup}
+      onBack={() => setBackup(null)}
+      onRestore={restore}
+    />
+  ) : (
+    <PickBackup onRead={setBackup} />
+  );
+}
+
+// Restores a JSON export after showing how it differs from the library
+export function RestoreDialog({ open, onClose }) {
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent
+        className="dialog-content wide-dialog"
+        data-testid="restore-dialog"
+      >
+        <DialogHeader>
+          <DialogTitle>Restore from a backup</DialogTitle>
+        </DialogHeader>
+        {open && <RestoreWizard onClose={onClose} />}
+      </DialogContent>
+    </Dialog>
+  );
+}
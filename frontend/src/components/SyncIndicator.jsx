@@ -0,0 +1,104 @@
+import { AlertTriangle, CloudOff, RefreshCw } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+
+const describe = ({ request }) =>
+  `${request.method.toUpperCase()} ${request.url.split("?")[0]}`;
+
+// Resending only helps over a newer version (409) or once signed back in
+// (401); anything else, like a record that is gone, would fail again
+const RESEND_LABELS = { 409: "Keep mine", 401: "Retry" };
+
+export function SyncIndicator({
+  online,
+  pendingCount,
+  syncing,
+  conflicts,
+  onSync,
+  onResolveConflict,
+}) {
+  if (online && pendingCount === 0 && conflicts.length === 0 && !syncing) {
+    return null;
+  }
+
+  const pendingLabel = `${pendingCount} pending ${
+    pendingCount === 1 ? "change" : "changes"
+  }`;
+
+  return (
+    <div className="sync-indicator" data-testid="sync-indicator">
+      {!online && (
+        <span className="sync-status offline">
+          <CloudOff className="w-4 h-4" /> Offline
+        </span>
+      )}
+      {(pendingCount > 0 || syncing) && (
+        <button
+          type="button"
+          className="sync-status"
+          onClick={onSync}
+          disabled={!online || syncing}
+          title={online ? "Sync now" : "Will sync when back online"}
+          data-testid="sync-pending"
+        >
+          <RefreshCw className={`w-4 h-4${syncing ? " animate-spin" : ""}`} />
+          {syncing ? "Syncing…" : pendingLabel}
+        </button>
+      )}
+      {conflicts.length > 0 && (
+        <Popover>
+          <PopoverTrigger asChild>
+            <button
+              type="button"
+              className="sync-status conflict"
+              data-testid="sync-conflicts"
+            >
+              <AlertTriangle className="w-4 h-4" />
+              {conflicts.length}{" "}
+              {conflicts.length === 1 ? "conflict" : "conflicts"}
+            </button>
+          </PopoverTrigger>
+          <PopoverContent className="sync-conflicts" align="end">
+            <p className="dialog-hint">
+              The server turned down these offline changes.
+            </p>
+            <ul>
+              {conflicts.map((conflict) => (
+                <li key={conflict.seq}>
+                  <span className="sync-conflict-request">
+                    {describe(conflict)}
+                  </span>
+                  <span className="sync-conflict-message">
+                    {conflict.message}
+                  </span>
+                  <div className="quote-actions">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => onResolveConflict(conflict, false)}
+                    >
+                      {conflict.status === 409 ? "Keep server" : "Discard"}
+                    </Button>
+                    {RESEND_LABELS[conflict.status] && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => onResolveConflict(conflict, true)}
+                      >
+                        {RESEND_LABELS[conflict.status]}
+                      </Button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </PopoverContent>
+        </Popover>
+      )}
+    </div>
+  );
+}
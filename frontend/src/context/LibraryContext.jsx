@@ -0,0 +1,834 @@
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { toast } from "sonner";
+import * as api from "@/api";
+import { isLocalDataSource } from "@/lib/data-source";
+import { downloadFile } from "@/lib/download";
+import {
+  getAuthToken,
+  installAuthInterceptors,
+  setAuthToken,
+} from "@/lib/auth";
+import {
+  clearOfflineData,
+  enqueueMutation,
+  flushOutbox,
+  listMutations,
+  loadLibrary,
+  saveLibrary,
+} from "@/lib/offline";
+import { applyBookUpdate, statusDates, withStatusDates } from "@/lib/books";
+import { today } from "@/lib/dates";
+import { applyProgress } from "@/lib/progress";
+import { useOnlineStatus } from "@/hooks/use-online-status";
+
+// How often a stalled outbox is retried while the browser reports online
+const SYNC_RETRY_MS = 30000;
+
+// Records get their id on the client so they can be edited before they sync
+const newId = () =>
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// The server gives every new book one so it gets a quote card
+const blankQuote = (book) => ({
+  id: newId(),
+  book_id: book.id,
+  book_title: book.title,
+  text: "",
+  user_id: null,
+  discussion: "",
+  created_at: book.created_at,
+  updated_at: book.created_at,
+});
+
+const readCachedUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem("currentUser"));
+  } catch (e) {
+    return null;
+  }
+};
+
+const LibraryContext = createContext(null);
+
+/**
+ * Owns the session and the library (books, quotes, readers and their goals)
+ * for every page: loading, the offline copy and outbox, and optimistic
+ * mutations. Mutations resolve to true once the change is applied (sent or
+ * queued) and to false when the server rejected it, in which case it has
+ * been rolled back.
+ */
+export function LibraryProvider({ children }) {
+  const [books, setBooks] = useState([]);
+  const [quotes, setQuotes] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [goals, setGoals] = useState([]);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  // Offline sync state
+  // The in-browser data source is always reachable
+  const online = useOnlineStatus() || isLocalDataSource;
+  const [pendingCount, setPendingCount] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+  const [conflicts, setConflicts] = useState([]);
+  const syncingRef = useRef(false);
+
+  // Restore the saved session; any 401 afterwards sends us back to login
+  useEffect(() => {
+    const controller = new AbortController();
+    const uninstall = installAuthInterceptors(() => {
+      localStorage.removeItem("currentUser");
+      setCurrentUser(null);
+    });
+
+    // Without a backend there are no logins to check
+    if (!isLocalDataSource && !getAuthToken()) {
+      setAuthChecked(true);
+    } else {
+      api
+        .getMe({ signal: controller.signal })
+        .then(setCurrentUser)
+        .catch((e) => {
+          if (e.aborted) return;
+          console.error(e);
+          // Unreachable backend: keep working as the last signed-in reader
+          if (e.isNetworkError) setCurrentUser(readCachedUser());
+        })
+        .finally(() => !controller.signal.aborted && setAuthChecked(true));
+    }
+
+    return () => {
+      controller.abort();
+      uninstall();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (currentUser) {
+      localStorage.setItem("currentUser", JSON.stringify(currentUser));
+    }
+  }, [currentUser]);
+
+  const currentUserId = currentUser?.id;
+
+  // Initial parallel load once signed in
+  useEffect(() => {
+    if (!currentUserId) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    async function loadAll() {
+      try {
+        setLoading(true);
+
+        const [booksData, quotesData, usersData, goalsData] =
+          await Promise.all([
+            api.getBooks({ signal }),
+            api.getQuotes({ signal }),
+            api.getUsers({ signal }),
+            api.getGoals({ signal }),
+          ]);
+
+        setBooks(booksData);
+        setQuotes(quotesData);
+        setUsers(usersData);
+        setGoals(goalsData);
+      } catch (err) {
+        if (err.aborted) return;
+        console.error(err);
+        if (!err.isNetworkError) {
+          toast.error("Failed to load data");
+          return;
+        }
+        try {
+          const saved = await loadLibrary();
+          if (signal.aborted) return;
+          setBooks(saved.books);
+          setQuotes(saved.quotes);
+          setUsers(saved.users);
+          setGoals(saved.goals);
+          toast("Offline — showing your saved library");
+        } catch (e) {
+          console.error(e);
+          toast.error("Failed to load data");
+        }
+      } finally {
+        if (!signal.aborted) {
+          setLoading(false);
+        }
+      }
+    }
+
+    loadAll();
+
+    return () => controller.abort();
+  }, [currentUserId]);
+
+  // Keep a copy of the library in IndexedDB for offline use
+  useEffect(() => {
+    if (isLocalDataSource || !currentUserId || loading) return;
+    saveLibrary({ books, quotes, users, goals }).catch((e) =>
+      console.error(e),
+    );
+  }, [books, quotes, users, goals, currentUserId, loading]);
+
+  const refreshPendingCount = useCallback(async () => {
+    try {
+      setPendingCount((await listMutations()).length);
+    } catch (e) {
+      console.error(e);
+    }
+  }, []);
+
+  // Reloads collections after a change. Offline, the state already mirrors
+  // what's saved locally, so only errors from the server are reported.
+  const reload = useCallback(async (...names) => {
+    const loaders = {
+      books: [api.getBooks, setBooks, "books"],
+      quotes: [api.getQuotes, setQuotes, "quotes"],
+      users: [api.getUsers, setUsers, "readers"],
+      goals: [api.getGoals, setGoals, "goals"],
+    };
+    await Promise.all(
+      names.map(async (name) => {
+        const [load, setter, label] = loaders[name];
+        try {
+          setter(await load());
+        } catch (e) {
+          console.error(e);
+          if (!e.isNetworkError) toast.error(`Failed to fetch ${label}`);
+        }
+      }),
+    );
+  }, []);
+
+  // Replays queued mutations, then reloads so we see the server's view
+  const syncOutbox = useCallback(async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const result = await flushOutbox(api.send);
+      if (result.conflicts.length > 0) {
+        setConflicts((current) => [...current, ...result.conflicts]);
+        toast.error("Some offline changes conflict with the server");
+      }
+      if (result.sent > 0 || result.conflicts.length > 0) {
+        await reload("books", "quotes", "users", "goals");
+      }
+    } catch (e) {
+      console.error(e);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      refreshPendingCount();
+    }
+  }, [reload, refreshPendingCount]);
+
+  useEffect(() => {
+    if (!currentUserId || loading) return;
+    if (online) syncOutbox();
+    else refreshPendingCount();
+  }, [online, currentUserId, loading, syncOutbox, refreshPendingCount]);
+
+  // The browser can report online while the backend is still unreachable
+  useEffect(() => {
+    if (!online || pendingCount === 0) return;
+    const timer = setInterval(syncOutbox, SYNC_RETRY_MS);
+    return () => clearInterval(timer);
+  }, [online, pendingCount, syncOutbox]);
+
+  // One card per book with quotes, in the order the quotes were added
+  const booksWithQuotes = useMemo(() => {
+    const entries = new Map();
+    quotes.forEach((q) => {
+      const key = q.book_id || `title:${q.book_title}`;
+      if (!entries.has(key)) {
+        entries.set(key, {
+          book_id: q.book_id || null,
+          book_title: q.book_title,
+        });
+      }
+    });
+    return [...entries.values()];
+  }, [quotes]);
+
+  const usersById = useMemo(
+    () => Object.fromEntries(users.map((user) => [user.id, user])),
+    [users],
+  );
+
+  // Legacy quotes whose book no longer exists have no book_id and are
+  // grouped by the title they were saved under instead.
+  const getQuotesForBook = useCallback(
+    ({ book_id, book_title }) =>
+      quotes.filter((q) =>
+        book_id
+          ? q.book_id === book_id
+          : !q.book_id && q.book_title === book_title,
+      ),
+    [quotes],
+  );
+
+  // Sends a mutation, or parks it in the outbox if the backend can't be
+  // reached. Resolves to true once the server has it, false when queued.
+  const sendMutation = async (request, baseUpdatedAt) => {
+    // Anything already queued has to reach the server first
+    if (online && pendingCount === 0) {
+      try {
+        await api.send(request);
+        return true;
+      } catch (e) {
+        if (!e.isNetworkError) throw e;
+      }
+    }
+    // The version we edited lets the server spot conflicting changes on replay
+    await enqueueMutation(
+      baseUpdatedAt
+        ? {
+            ...request,
+            data: { ...request.data, base_updated_at: baseUpdatedAt },
+          }
+        : request,
+    );
+    await refreshPendingCount();
+    if (online) syncOutbox();
+    return false;
+  };
+
+  // Shows a change straight away, then sends it. The change is rolled back
+  // if the server rejects it.
+  const mutate = async ({
+    apply,
+    request,
+    baseUpdatedAt,
+    success,
+    failure,
+  }) => {
+    const previous = { books, quotes, goals };
+    apply();
+    try {
+      const sent = await sendMutation(request, baseUpdatedAt);
+      if (!sent) toast.success("Saved offline — will sync when back online");
+      else if (success) toast.success(success);
+      return { ok: true, sent };
+    } catch (e) {
+      console.error(e);
+      setBooks(previous.books);
+      setQuotes(previous.quotes);
+      setGoals(previous.goals);
+      toast.error(failure);
+      return { ok: false, sent: false };
+    }
+  };
+
+  const handleAuthenticated = ({ token, user }) => {
+    setAuthToken(token);
+    setCurrentUser(user);
+  };
+
+  const logout = async () => {
+    if (
+      pendingCount > 0 &&
+      !window.confirm(
+        `${pendingCount} offline ${
+          pendingCount === 1 ? "change hasn't" : "changes haven't"
+        } synced yet and will be lost. Sign out anyway?`,
+      )
+    ) {
+      return;
+    }
+    try {
+      await api.logout();
+    } catch (e) {
+      console.error(e);
+    }
+    setAuthToken(null);
+    setCurrentUser(null);
+    // Don't leave the library readable on a shared device
+    localStorage.removeItem("currentUser");
+    try {
+      await clearOfflineData();
+    } catch (e) {
+      console.error(e);
+    }
+    setBooks([]);
+    setQuotes([]);
+    setGoals([]);
+    setUsers([]);
+    setPendingCount(0);
+    setConflicts([]);
+  };
+
+  const addUser = async (user) => {
+    try {
+      const created = await api.createUser(user);
+      toast.success("Reader added");
+      reload("users");
+      return created;
+    } catch (e) {
+      console.error(e);
+      toast.error("Failed to add reader");
+      return null;
+    }
+  };
+
+  const setUserCredentials = async (userId, credentials) => {
+    try {
+      await api.setUserCredentials(userId, credentials);
+      toast.success("Login saved");
+      reload("users");
+      return true;
+    } catch (e) {
+      console.error(e);
+      toast.error(
+        typeof e.detail === "string" ? e.detail : "Failed to save login",
+      );
+      return false;
+    }
+  };
+
+  const updateUser = async (userId, updates) => {
+    try {
+      await api.updateUser(userId, updates);
+      toast.success("Reader updated");
+      reload("users");
+      return true;
+    } catch (e) {
+      console.error(e);
+      toast.error("Failed to update reader");
+      return false;
+    }
+  };
+
+  const deleteUser = async (user) => {
+    if (!window.confirm(`Remove ${user.name} from the readers?`)) return;
+    try {
+      await api.deleteUser(user.id);
+      toast.success("Reader removed");
+      reload("users");
+    } catch (e) {
+      console.error(e);
+      toast.error(
+        e.status === 409
+          ? `${user.name} still has quotes`
+          : "Failed to remove reader",
+      );
+    }
+  };
+
+  const addBook = async ({ title, status, rating, ...metadata }) => {
+    const id = newId();
+    const now = new Date().toISOString();
+    const book = {
+      id,
+      title,
+      readings: {
+        [currentUserId]: {
+          status,
+          rating,
+          ...statusDates({}, status, today()),
+        },
+      },
+      history: [{ user_id: currentUserId, status, changed_at: now }],
+      authors: [],
+      genres: [],
+      ...metadata,
+      created_at: now,
+      updated_at: now,
+    };
+    const { ok, sent } = await mutate({
+      apply: () => {
+        setBooks((current) => [
+          ...current,
+          { ...book, number: Math.max(0, ...current.map((b) => b.number)) + 1 },
+        ]);
+        setQuotes((current) => [...current, blankQuote(book)]);
+      },
+      request: api.requests.createBook({
+        id,
+        title,
+        status,
+        rating,
+        ...metadata,
+      }),
+      success: "Book added successfully",
+      failure: "Failed to add book",
+    });
+    if (sent) reload("books", "quotes");
+    return ok;
+  };
+
+  // Books read in from another app's export, as the signed-in reader's
+  const importBooks = async (items) => {
+    const now = new Date().toISOString();
+    const imported = items.map((item) => ({ ...item, id: newId() }));
+    const { ok, sent } = await mutate({
+      apply: () => {
+        const created = imported.map(
+          ({ status, rating, started_at, finished_at, ...metadata }) => ({
+            readings: {
+              [currentUserId]: { status, rating, started_at, finished_at },
+            },
+            history: [],
+            authors: [],
+            genres: [],
+            ...metadata,
+            created_at: now,
+            updated_at: now,
+          }),
+        );
+        setBooks((current) => {
+          const last = Math.max(0, ...current.map((b) => b.number));
+          return [
+            ...current,
+            ...created.map((book, i) => ({ ...book, number: last + i + 1 })),
+          ];
+        });
+        setQuotes((current) => [...current, ...created.map(blankQuote)]);
+      },
+      request: api.requests.createBooks(imported),
+      success: `Imported ${imported.length} ${
+        imported.length === 1 ? "book" : "books"
+      }`,
+      failure: "Failed to import books",
+    });
+    if (sent) reload("books", "quotes");
+    return ok;
+  };
+
+  const updateBook = async (bookId, changes) => {
+    const book = books.find((b) => b.id === bookId);
+    const updates = book
+      ? withStatusDates(book, changes, currentUserId)
+      : changes;
+    const { ok, sent } = await mutate({
+      apply: () => {
+        setBooks((current) =>
+          current.map((b) =>
+            b.id === bookId ? applyBookUpdate(b, updates, currentUserId) : b,
+          ),
+        );
+        if (updates.title !== undefined) {
+          setQuotes((current) =>
+            current.map((q) =>
+              q.book_id === bookId ? { ...q, book_title: updates.title } : q,
+            ),
+          );
+        }
+      },
+      request: api.requests.updateBook(bookId, updates),
+      baseUpdatedAt: book?.updated_at,
+      success: "Book updated successfully",
+      failure: "Failed to update book",
+    });
+    if (sent) {
+      reload("books");
+      if (updates.title !== undefined) reload("quotes");
+    }
+    return ok;
+  };
+
+  // `entry` is `{ date, page, percent, note }`, see lib/progress
+  const logProgress = async (bookId, entry) => {
+    const progress = {
+      ...entry,
+      id: newId(),
+      user_id: currentUserId,
+      created_at: new Date().toISOString(),
+    };
+    const { ok, sent } = await mutate({
+      apply: () =>
+        setBooks((current) =>
+          current.map((b) =>
+            b.id === bookId ? applyProgress(b, progress, currentUserId) : b,
+          ),
+        ),
+      request: api.requests.logProgress(bookId, { ...entry, id: progress.id }),
+      success: "Progress logged",
+      failure: "Failed to log progress",
+    });
+    if (sent) reload("books");
+    return ok;
+  };
+
+  const deleteProgress = async (bookId, entryId) => {
+    const { ok, sent } = await mutate({
+      apply: () =>
+        setBooks((current) =>
+          current.map((b) =>
+            b.id === bookId
+              ? { ...b, progress: b.progress.filter((e) => e.id !== entryId) }
+              : b,
+          ),
+        ),
+      request: api.requests.deleteProgress(bookId, entryId),
+      failure: "Failed to delete progress entry",
+    });
+    if (sent) reload("books");
+    return ok;
+  };
+
+  // `quotesMode` is "delete", "orphan" or "move" (to `targetBookId`)
+  const deleteBook = async (bookId, { quotes: quotesMode, targetBookId }) => {
+    const target = books.find((b) => b.id === targetBookId);
+    const { ok, sent } = await mutate({
+      apply: () => {
+        setBooks((current) =>
+          current
+            .filter((b) => b.id !== bookId)
+            .sort((a, b) => a.number - b.number)
+            .map((b, idx) => ({ ...b, number: idx + 1 })),
+        );
+        setQuotes((current) =>
+          current.flatMap((q) => {
+            if (q.book_id !== bookId) return [q];
+            if (!q.text || quotesMode === "delete") return [];
+            if (quotesMode === "orphan") return [{ ...q, book_id: null }];
+            return [{ ...q, book_id: target.id, book_title: target.title }];
+          }),
+        );
+      },
+      request: api.requests.deleteBook(bookId, {
+        quotes: quotesMode,
+        targetBookId,
+      }),
+      success: "Book deleted successfully",
+      failure: "Failed to delete book",
+    });
+    if (sent) reload("books", "quotes");
+    return ok;
+  };
+
+  // Takes every book in its new queue order
+  const reorderBooks = async (ordered) => {
+    const { ok, sent } = await mutate({
+      apply: () =>
+        setBooks(ordered.map((book, idx) => ({ ...book, number: idx + 1 }))),
+      request: api.requests.reorderBooks(ordered.map((book) => book.id)),
+      failure: "Failed to reorder books",
+    });
+    if (sent) reload("books");
+    return ok;
+  };
+
+  const addQuote = async (entry, { text, discussion }) => {
+    const id = newId();
+    const now = new Date().toISOString();
+    const { ok, sent } = await mutate({
+      apply: () =>
+        setQuotes((current) => [
+          ...current,
+          {
+            id,
+            book_id: entry.book_id,
+            book_title: entry.book_title,
+            text,
+            user_id: currentUserId,
+            discussion,
+            created_at: now,
+            updated_at: now,
+          },
+        ]),
+      request: api.requests.createQuote({
+        id,
+        book_id: entry.book_id,
+        text,
+        discussion,
+      }),
+      success: "Quote added successfully",
+      failure: "Failed to add quote",
+    });
+    if (sent) reload("quotes");
+    return ok;
+  };
+
+  const updateQuote = async (quoteId, updates) => {
+    const quote = quotes.find((q) => q.id === quoteId);
+    const { ok, sent } = await mutate({
+      apply: () =>
+        setQuotes((current) =>
+          current.map((q) => (q.id === quoteId ? { ...q, ...updates } : q)),
+        ),
+      request: api.requests.updateQuote(quoteId, updates),
+      baseUpdatedAt: quote?.updated_at,
+      success: "Quote updated",
+      failure: "Failed to update quote",
+    });
+    if (sent) reload("quotes");
+    return ok;
+  };
+
+  const deleteQuote = async (quoteId) => {
+    const { ok, sent } = await mutate({
+      apply: () =>
+        setQuotes((current) => current.filter((q) => q.id !== quoteId)),
+      request: api.requests.deleteQuote(quoteId),
+      success: "Quote deleted successfully",
+      failure: "Failed to delete quote",
+    });
+    if (sent) reload("quotes");
+    return ok;
+  };
+
+  // A target of null removes the reader's goal for that year
+  const setGoal = async (year, target, monthlyTarget = null) => {
+    const existing = goals.find(
+      (g) => g.user_id === currentUserId && g.year === year,
+    );
+    if (target === null && !existing) return true;
+    const now = new Date().toISOString();
+    const { ok, sent } = await mutate({
+      apply: () =>
+        setGoals((current) => {
+          const others = current.filter((g) => g !== existing);
+          if (target === null) return others;
+          return [
+            ...others,
+            {
+              id: existing?.id || newId(),
+              user_id: currentUserId,
+              year,
+              target,
+              monthly_target: monthlyTarget,
+              created_at: existing?.created_at || now,
+              updated_at: now,
+            },
+          ];
+        }),
+      request:
+        target === null
+          ? api.requests.deleteGoal(year)
+          : api.requests.setGoal(year, {
+              target,
+              monthly_target: monthlyTarget,
+            }),
+      success: target === null ? "Goal removed" : "Goal saved",
+      failure: "Failed to save goal",
+    });
+    if (sent) reload("goals");
+    return ok;
+  };
+
+  const exportLibrary = async () => {
+    try {
+      const data = await api.exportLibrary();
+      downloadFile(
+        `library-${data.exported_at.slice(0, 10)}.json`,
+        JSON.stringify(data, null, 2),
+        "application/json",
+      );
+    } catch (e) {
+      console.error(e);
+      toast.error("Failed to export library");
+    }
+  };
+
+  // Restores a checked export (from either data source): `mode` "merge"
+  // adds and updates its records, "replace" also deletes the rest. Without
+  // a backend, `me` is the reader to be afterwards.
+  const restoreLibrary = async (backup, mode, me) => {
+    try {
+      const counts = await api.importLibrary(backup, mode, me);
+      // Without logins, the restore can make us another reader
+      if (isLocalDataSource) setCurrentUser(await api.getMe());
+      toast.success(
+        `Restored ${counts.books} books, ${counts.quotes} quotes ` +
+          `and ${counts.users} readers` +
+          (counts.removed ? `, removing ${counts.removed} records` : ""),
+      );
+      reload("books", "quotes", "users", "goals");
+      return true;
+    } catch (e) {
+      console.error(e);
+      toast.error(
+        typeof e.detail === "string" ? e.detail : "Failed to restore library",
+      );
+      return false;
+    }
+  };
+
+  // "Keep server" drops the offline change. "Keep mine" sends it again
+  // without the version check so it overwrites the newer edit; a change whose
+  // record had gone is simply retried. It stays listed if that fails too.
+  const resolveConflict = async (conflict, keepMine) => {
+    const dismiss = () =>
+      setConflicts((current) => current.filter((c) => c.seq !== conflict.seq));
+    if (!keepMine) {
+      dismiss();
+      return;
+    }
+    const { base_updated_at, ...data } = conflict.request.data || {};
+    try {
+      await api.send({ ...conflict.request, data });
+      dismiss();
+      toast.success("Your change was saved");
+    } catch (e) {
+      console.error(e);
+      toast.error(e.isNetworkError ? e.message : "Failed to save your change");
+    }
+    reload("books", "quotes", "users", "goals");
+  };
+
+  const value = {
+    books,
+    quotes,
+    users,
+    usersById,
+    goals,
+    booksWithQuotes,
+    getQuotesForBook,
+    currentUser,
+    currentUserId,
+    authChecked,
+    loading,
+    online,
+    pendingCount,
+    syncing,
+    conflicts,
+    syncOutbox,
+    resolveConflict,
+    handleAuthenticated,
+    logout,
+    addUser,
+    setUserCredentials,
+    updateUser,
+    deleteUser,
+    addBook,
+    importBooks,
+    updateBook,
+    logProgress,
+    deleteProgress,
+    deleteBook,
+    reorderBooks,
+    addQuote,
+    updateQuote,
+    deleteQuote,
+    setGoal,
+    exportLibrary,
+    restoreLibrary,
+  };
+
+  return (
+    <LibraryContext.Provider value={value}>{children}</LibraryContext.Provider>
+  );
+}
+
+export function useLibrary() {
+  const library = useContext(LibraryContext);
+  if (!library) {
+    throw new Error("useLibrary must be used within a LibraryProvider");
+  }
+  return library;
+}
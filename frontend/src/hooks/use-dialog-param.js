@@ -0,0 +1,45 @@
+import { useCallback } from "react";
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom";
+
+const NO_PARAMS = [];
+
+/**
+ * Keeps the open dialog in the URL (`?dialog=name`) so it can be linked to
+ * and the browser's back button closes it. Opening pushes a history entry
+ * (optionally on another path, keeping the query string); closing steps back
+ * over it, or just drops the param when the URL was loaded directly.
+ *
+ * `targetParams` names extra params that say what the dialog is about, such
+ * as `?dialog=edit&book=<id>`; they're dropped along with it.
+ */
+export function useDialogParam(targetParams = NO_PARAMS) {
+  const [searchParams] = useSearchParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const openDialog = useCallback(
+    (name, { pathname = location.pathname, params = {} } = {}) => {
+      const search = new URLSearchParams(location.search);
+      search.set("dialog", name);
+      Object.entries(params).forEach(([key, value]) => search.set(key, value));
+      navigate({ pathname, search: `?${search}` }, { state: { dialog: true } });
+    },
+    [location, navigate],
+  );
+
+  const closeDialog = useCallback(() => {
+    if (location.state?.dialog) {
+      navigate(-1);
+      return;
+    }
+    const params = new URLSearchParams(location.search);
+    ["dialog", ...targetParams].forEach((key) => params.delete(key));
+    const search = params.toString();
+    navigate(
+      { pathname: location.pathname, search: search ? `?${search}` : "" },
+      { replace: true },
+    );
+  }, [location, navigate, targetParams]);
+
+  return { dialog: searchParams.get("dialog"), openDialog, closeDialog };
+}
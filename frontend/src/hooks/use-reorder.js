@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+function moveItem(items, from, to) {
+  const next = [...items];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+}
+
+/**
+ * Drag-and-drop reordering for a vertical list.
+ *
+ * Pointer events cover both mouse and touch (the handle needs
+ * `touch-action: none`), and the handle doubles as a keyboard control:
+ * Space/Enter picks an item up, the arrow keys move it, Space/Enter drops
+ * it and Escape cancels. While an item is being moved `items` is returned
+ * in the previewed order; `onReorder(from, to)` fires once on drop.
+ */
+export function useReorder({ items, getId, getLabel, onReorder, disabled }) {
+  const [drag, setDrag] = useState(null); // { id, from, to, mode }
+  const [announcement, setAnnouncement] = useState("");
+  const rowRefs = useRef(new Map());
+  const handleRefs = useRef(new Map());
+
+  useEffect(() => {
+    if (disabled) setDrag(null);
+  }, [disabled]);
+
+  // Moving a row in the DOM can drop focus from its handle mid-keyboard-drag
+  useEffect(() => {
+    if (drag?.mode !== "keyboard") return;
+    const handle = handleRefs.current.get(drag.id);
+    if (handle && document.activeElement !== handle) handle.focus();
+  }, [drag]);
+
+  const orderedItems = useMemo(
+    () => (drag ? moveItem(items, drag.from, drag.to) : items),
+    [items, drag],
+  );
+
+  const finish = useCallback(
+    (current, commit) => {
+      setDrag(null);
+      if (!current) return;
+      const label = getLabel(items[current.from]);
+      if (commit && current.from !== current.to) {
+        onReorder(current.from, current.to);
+        setAnnouncement(`${label} moved to position ${current.to + 1}.`);
+      } else {
+        setAnnouncement(`${label} returned to position ${current.from + 1}.`);
+      }
+    },
+    [items, getLabel, onReorder],
+  );
+
+  // Index the pointer is over, based on the midpoints of the other rows
+  const indexAtPoint = useCallback(
+    (clientY, draggedId) => {
+      let index = 0;
+      for (const item of items) {
+        const id = getId(item);
+        if (id === draggedId) continue;
+        const row = rowRefs.current.get(id);
+        if (!row) continue;
+        const rect = row.getBoundingClientRect();
+        if (clientY > rect.top + rect.height / 2) index += 1;
+      }
+      return index;
+    },
+    [items, getId],
+  );
+
+  const getHandleProps = (item, index) => {
+    const id = getId(item);
+    const lifted = drag?.id === id;
+
+    return {
+      ref: (node) => {
+        if (node) handleRefs.current.set(id, node);
+        else handleRefs.current.delete(id);
+      },
+      role: "button",
+      tabIndex: disabled ? -1 : 0,
+      "aria-disabled": disabled || undefined,
+      "aria-pressed": lifted && drag.mode === "keyboard",
+      "aria-label": `Reorder ${getLabel(item)}, position ${index + 1} of ${
+        items.length
+      }`,
+      onPointerDown: (e) => {
+        if (disabled || e.button !== 0) return;
+        e.preventDefault();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setDrag({ id, from: index, to: index, mode: "pointer" });
+      },
+      onPointerMove: (e) => {
+        if (!lifted || drag.mode !== "pointer") return;
+        const to = indexAtPoint(e.clientY, id);
+        if (to !== drag.to) setDrag({ ...drag, to });
+      },
+      onPointerUp: () => {
+        if (lifted && drag.mode === "pointer") finish(drag, true);
+      },
+      onPointerCancel: () => {
+        if (lifted) finish(drag, false);
+      },
+      onKeyDown: (e) => {
+        if (disabled) return;
+        if (e.key === " " || e.key === "Enter") {
+          e.preventDefault();
+          if (lifted) {
+            finish(drag, true);
+          } else {
+            setDrag({ id, from: index, to: index, mode: "keyboard" });
+            setAnnouncement(
+              `${getLabel(item)} picked up. Use the arrow keys to move it, ` +
+                "space to drop, escape to cancel.",
+            );
+          }
+        } else if (lifted && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+          e.preventDefault();
+          const step = e.key === "ArrowUp" ? -1 : 1;
+          const to = Math.min(items.length - 1, Math.max(0, drag.to + step));
+          setDrag({ ...drag, to });
+          setAnnouncement(`Position ${to + 1} of ${items.length}.`);
+        } else if (lifted && e.key === "Escape") {
+          e.preventDefault();
+          finish(drag, false);
+        }
+      },
+      onBlur: (e) => {
+        // relatedTarget is only set when focus genuinely moved elsewhere
+        if (lifted && drag.mode === "keyboard" && e.relatedTarget) {
+          finish(drag, false);
+        }
+      },
+    };
+  };
+
+  const getItemProps = (item) => {
+    const id = getId(item);
+    return {
+      ref: (node) => {
+        if (node) rowRefs.current.set(id, node);
+        else rowRefs.current.delete(id);
+      },
+      "data-dragging": drag?.id === id || undefined,
+    };
+  };
+
+  return {
+    items: orderedItems,
+    isDragging: drag !== null,
+    announcement,
+    getHandleProps,
+    getItemProps,
+  };
+}
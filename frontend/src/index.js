@@ -2,6 +2,7 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import "@/index.css";
 import App from "@/App";
+import * as serviceWorkerRegistration from "@/serviceWorkerRegistration";
 
 const root = ReactDOM.createRoot(document.getElementById("root"));
 root.render(
@@ -9,3 +10,21 @@ root.render(
     <App />
   </React.StrictMode>,
 );
+
+// Cache the app shell so it opens offline and can be installed. An update
+// only takes over once the reader agrees to reload into it, so no tab runs
+// old bundles under the new worker; otherwise it waits until every tab of
+// the app is closed.
+serviceWorkerRegistration.register({
+  onUpdate: (registration) => {
+    if (!window.confirm("A new version of the app is available. Reload now?")) {
+      return;
+    }
+    navigator.serviceWorker.addEventListener(
+      "controllerchange",
+      () => window.location.reload(),
+      { once: true },
+    );
+    registration.waiting?.postMessage({ type: "SKIP_WAITING" });
+  },
+});
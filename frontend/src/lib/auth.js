@@ -0,0 +1,40 @@
+import axios from "axios";
+
+const TOKEN_KEY = "authToken";
+
+export function getAuthToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function setAuthToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+}
+
+// Attaches the session token to every request and signs the user out as
+// soon as the backend rejects it. Returns a cleanup function.
+export function installAuthInterceptors(onUnauthorized) {
+  const request = axios.interceptors.request.use((config) => {
+    const token = getAuthToken();
+    if (token) config.headers.Authorization = `Bearer ${token}`;
+    return config;
+  });
+  const response = axios.interceptors.response.use(
+    (res) => res,
+    (error) => {
+      if (error.response?.status === 401 && getAuthToken()) {
+        setAuthToken(null);
+        onUnauthorized();
+      }
+      return Promise.reject(error);
+    },
+  );
+
+  return () => {
+    axios.interceptors.request.eject(request);
+    axios.interceptors.response.eject(response);
+  };
+}
@@ -0,0 +1,121 @@
+import { z } from "zod";
+import { BOOK_STATUSES, readingFor } from "@/lib/books";
+import { isValidIsbn, normalizeIsbn } from "@/lib/isbn";
+
+// Inputs hand back strings, so every field is validated as one and
+// converted by toBookData(). Blank optional fields are allowed throughout.
+const optionalNumber = (min, max, message, { integer = false } = {}) =>
+  z
+    .string()
+    .trim()
+    .refine((value) => {
+      if (value === "") return true;
+      const number = Number(value);
+      return (
+        Number.isFinite(number) &&
+        number >= min &&
+        number <= max &&
+        (!integer || Number.isInteger(number))
+      );
+    }, message);
+
+export const bookFormSchema = z.object({
+  title: z.string().trim().min(1, "Title is required"),
+  status: z.enum(BOOK_STATUSES),
+  rating: optionalNumber(1, 10, "Rating goes from 1.0 to 10.0"),
+  authors: z.string(),
+  pages: optionalNumber(1, 100000, "Pages must be a whole number", {
+    integer: true,
+  }),
+  genres: z.string(),
+  isbn: z
+    .string()
+    .trim()
+    .refine(
+      (value) => value === "" || isValidIsbn(value),
+      "Not a valid ISBN",
+    ),
+  year: optionalNumber(
+    -3000,
+    new Date().getFullYear() + 1,
+    "Not a valid year",
+    { integer: true },
+  ),
+  // Besides links, uploaded covers: a backend path or, without a backend,
+  // an inline data: URL
+  cover_url: z
+    .string()
+    .trim()
+    .refine(
+      (value) =>
+        value === "" ||
+        /^(https?:\/\/|\/api\/covers\/)\S+$/i.test(value) ||
+        value.startsWith("data:image/"),
+      "Use an http(s) link or upload an image",
+    ),
+});
+
+export const EMPTY_BOOK_FORM = {
+  title: "",
+  status: "To Read",
+  rating: "5.0",
+  authors: "",
+  pages: "",
+  genres: "",
+  isbn: "",
+  year: "",
+  cover_url: "",
+};
+
+const toList = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const toNumber = (value) => (value === "" ? null : Number(value));
+
+export function bookFormValues(book, userId) {
+  const reading = readingFor(book, userId);
+  return {
+    title: book.title,
+    status: reading.status,
+    rating: reading.rating === null ? "" : String(reading.rating),
+    authors: (book.authors || []).join(", "),
+    pages: book.pages ? String(book.pages) : "",
+    genres: (book.genres || []).join(", "),
+    isbn: book.isbn || "",
+    year: book.year ? String(book.year) : "",
+    cover_url: book.cover_url || "",
+  };
+}
+
+// Blank fields become null (or empty lists), which clears them on update
+export function toBookData(values) {
+  return {
+    title: values.title.trim(),
+    status: values.status,
+    rating: toNumber(values.rating),
+    authors: toList(values.authors),
+    pages: toNumber(values.pages),
+    genres: toList(values.genres),
+    isbn: values.isbn ? normalizeIsbn(values.isbn) : null,
+    year: toNumber(values.year),
+    cover_url: values.cover_url.trim() || null,
+  };
+}
+
+const READING_FORM_FIELDS = ["status", "rating"];
+
+// The edit form always has the reader's status and rating filled in, so
+// `data` (from toBookData) keeps them only if they differ from the form's
+// initial values. Otherwise fixing a book's details would make the editor
+// one of its readers.
+export function toBookUpdate(data, initialValues) {
+  const initial = toBookData(initialValues);
+  const update = { ...data };
+  for (const field of READING_FORM_FIELDS) {
+    if (update[field] === initial[field]) delete update[field];
+  }
+  return update;
+}
@@ -0,0 +1,55 @@
+import { bookFormValues, toBookData, toBookUpdate } from "@/lib/book-form";
+import { applyBookUpdate } from "@/lib/books";
+
+const me = "u1";
+const other = "u2";
+
+const hobbit = {
+  id: "b1",
+  number: 1,
+  title: "The Hobbit",
+  authors: ["J. R. R. Tolkien"],
+  pages: 310,
+  readings: { [other]: { status: "Completed", rating: 7 } },
+};
+
+// What the edit dialog sends after the reader changes `changes`
+const edit = (book, userId, changes) => {
+  const initialValues = bookFormValues(book, userId);
+  const data = toBookData({ ...initialValues, ...changes });
+  return toBookUpdate(data, initialValues);
+};
+
+describe("toBookUpdate", () => {
+  it("leaves out the reading fields when they weren't changed", () => {
+    const update = edit(hobbit, me, { title: "The Hobbit, or There and Back" });
+    expect(update).not.toHaveProperty("status");
+    expect(update).not.toHaveProperty("rating");
+    expect(update.title).toBe("The Hobbit, or There and Back");
+  });
+
+  it("leaves readings unchanged on a details-only edit", () => {
+    const updated = applyBookUpdate(
+      hobbit,
+      edit(hobbit, me, { pages: "320" }),
+      me,
+    );
+    expect(updated.pages).toBe(320);
+    expect(updated.readings).toEqual(hobbit.readings);
+  });
+
+  it("sends the reading fields that were changed", () => {
+    const update = edit(hobbit, other, { rating: "8.5" });
+    expect(update.rating).toBe(8.5);
+    expect(update).not.toHaveProperty("status");
+    expect(edit(hobbit, me, { status: "Reading" }).status).toBe("Reading");
+  });
+
+  it("treats a reformatted rating as unchanged", () => {
+    expect(edit(hobbit, other, { rating: "7.0" })).not.toHaveProperty("rating");
+  });
+
+  it("sends a cleared rating", () => {
+    expect(edit(hobbit, other, { rating: "" }).rating).toBeNull();
+  });
+});
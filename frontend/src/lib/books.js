@@ -0,0 +1,236 @@
+import { today } from "@/lib/dates";
+import { fuzzyMatch } from "@/lib/search";
+
+export const BOOK_STATUSES = ["To Read", "Reading", "Completed"];
+
+const DEFAULT_READING = { status: "To Read", rating: null };
+
+// Descriptive fields every reader shares
+export const BOOK_METADATA_FIELDS = [
+  "authors",
+  "pages",
+  "genres",
+  "isbn",
+  "year",
+  "cover_url",
+];
+
+// Each reader keeps their own status and rating on the shared book
+export function readingFor(book, userId) {
+  return book.readings?.[userId] || DEFAULT_READING;
+}
+
+// A reader's start and finish days (YYYY-MM-DD), each null or editable
+export const READING_DATE_FIELDS = ["started_at", "finished_at"];
+
+// The dates after a reader's status changes on `day`. Starting keeps an
+// earlier start, finishing records the day and going back to the shelf
+// forgets both. Mirrors dates_for_status() in backend/server.py.
+export function statusDates(reading, status, day) {
+  if (status === "Reading") {
+    return { started_at: reading.started_at || day, finished_at: null };
+  }
+  if (status === "Completed") {
+    return { started_at: reading.started_at || null, finished_at: day };
+  }
+  return { started_at: null, finished_at: null };
+}
+
+// Adds today's dates to a status change, unless it brings its own. The
+// client picks them so they fall on the reader's day, not the server's.
+export function withStatusDates(book, updates, userId) {
+  const reading = readingFor(book, userId);
+  if (updates.status === undefined || updates.status === reading.status) {
+    return updates;
+  }
+  return { ...statusDates(reading, updates.status, today()), ...updates };
+}
+
+// Mirrors what PUT /books/{id} does, so edits can be shown before they sync
+export function applyBookUpdate(book, updates, userId) {
+  const { title, status, rating } = updates;
+  const next = { ...book };
+  if (title !== undefined) next.title = title;
+  for (const field of BOOK_METADATA_FIELDS) {
+    if (updates[field] !== undefined) next[field] = updates[field];
+  }
+  const previous = readingFor(book, userId);
+  const reading = { ...previous };
+  if (status !== undefined && status !== previous.status) {
+    next.history = [
+      ...(book.history || []),
+      { user_id: userId, status, changed_at: new Date().toISOString() },
+    ];
+    Object.assign(reading, statusDates(previous, status, today()));
+  }
+  if (status !== undefined) reading.status = status;
+  // A null rating clears it, like the dates
+  if (rating !== undefined) reading.rating = rating;
+  for (const field of READING_DATE_FIELDS) {
+    if (updates[field] !== undefined) reading[field] = updates[field];
+  }
+  // Editing only the book's details doesn't make someone a reader of it
+  const touched =
+    status !== undefined ||
+    rating !== undefined ||
+    READING_DATE_FIELDS.some((field) => updates[field] !== undefined);
+  if (touched) next.readings = { ...book.readings, [userId]: reading };
+  return next;
+}
+
+// When a reader started and finished a book (YYYY-MM-DD). Books from
+// before the dates were kept fall back to their status history.
+export function readingDates(book, userId) {
+  const reading = readingFor(book, userId);
+  const changes = (book.history || []).filter((c) => c.user_id === userId);
+  const started = changes.find((c) => c.status === "Reading");
+  const finished = changes.filter((c) => c.status === "Completed").pop();
+  return {
+    startedAt:
+      reading.started_at ||
+      (reading.status !== "To Read" && started?.changed_at.slice(0, 10)) ||
+      null,
+    finishedAt:
+      reading.finished_at ||
+      (reading.status === "Completed" && finished?.changed_at.slice(0, 10)) ||
+      null,
+  };
+}
+
+export function averageRating(book) {
+  const ratings = Object.values(book.readings || {})
+    .map((reading) => reading.rating)
+    .filter((rating) => typeof rating === "number");
+  if (ratings.length === 0) return null;
+  return ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+}
+
+export const DEFAULT_BOOK_FILTERS = {
+  query: "",
+  status: "all",
+  minRating: "",
+  maxRating: "",
+};
+
+// Filters are mirrored into the query string (?q=&status=&min=&max=) so a
+// filtered view of the table can be bookmarked or shared.
+const FILTER_PARAMS = {
+  query: "q",
+  status: "status",
+  minRating: "min",
+  maxRating: "max",
+};
+
+export function readBookFilters(search) {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_BOOK_FILTERS };
+  for (const [key, param] of Object.entries(FILTER_PARAMS)) {
+    const value = params.get(param);
+    if (value !== null) filters[key] = value;
+  }
+  if (filters.status !== "all" && !BOOK_STATUSES.includes(filters.status)) {
+    filters.status = "all";
+  }
+  return filters;
+}
+
+export function writeBookFilters(search, filters) {
+  const params = new URLSearchParams(search);
+  for (const [key, param] of Object.entries(FILTER_PARAMS)) {
+    const value = filters[key];
+    if (value === "" || value === DEFAULT_BOOK_FILTERS[key]) {
+      params.delete(param);
+    } else {
+      params.set(param, value);
+    }
+  }
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+export function hasActiveBookFilters(filters) {
+  return Object.keys(DEFAULT_BOOK_FILTERS).some(
+    (key) => filters[key] !== DEFAULT_BOOK_FILTERS[key],
+  );
+}
+
+// Status filters on the signed-in reader's status, rating on the average
+export function filterBooks(books, filters, userId) {
+  const min = parseFloat(filters.minRating);
+  const max = parseFloat(filters.maxRating);
+
+  return books.filter((book) => {
+    if (filters.query && !fuzzyMatch(filters.query, book.title)) {
+      return false;
+    }
+    if (
+      filters.status !== "all" &&
+      readingFor(book, userId).status !== filters.status
+    ) {
+      return false;
+    }
+    const rating = averageRating(book);
+    if (!Number.isNaN(min) && (rating === null || rating < min)) return false;
+    if (!Number.isNaN(max) && (rating === null || rating > max)) return false;
+    return true;
+  });
+}
+
+const BOOK_SORT_KEYS = ["number", "title", "status", "rating"];
+
+// Sort criteria, most significant first. Clicking a column makes it the
+// primary key and keeps the previous primary as the secondary one.
+export const DEFAULT_BOOK_SORT = [{ key: "number", direction: "asc" }];
+
+const compareBy = {
+  number: (a, b) => a.number - b.number,
+  title: (a, b) =>
+    a.title.localeCompare(b.title, undefined, {
+      sensitivity: "base",
+      numeric: true,
+    }),
+  status: (a, b, userId) =>
+    BOOK_STATUSES.indexOf(readingFor(a, userId).status) -
+    BOOK_STATUSES.indexOf(readingFor(b, userId).status),
+  // Unrated books sort as the lowest rating
+  rating: (a, b) => (averageRating(a) ?? 0) - (averageRating(b) ?? 0),
+};
+
+export function readBookSort(stored) {
+  try {
+    const sort = JSON.parse(stored);
+    const valid =
+      Array.isArray(sort) &&
+      sort.length > 0 &&
+      sort.every(
+        (c) =>
+          BOOK_SORT_KEYS.includes(c.key) &&
+          (c.direction === "asc" || c.direction === "desc"),
+      );
+    return valid ? sort.slice(0, 2) : DEFAULT_BOOK_SORT;
+  } catch (e) {
+    return DEFAULT_BOOK_SORT;
+  }
+}
+
+export function toggleBookSort(sort, key) {
+  const [primary] = sort;
+  if (primary.key === key) {
+    return [
+      { key, direction: primary.direction === "asc" ? "desc" : "asc" },
+      ...sort.slice(1),
+    ];
+  }
+  return [{ key, direction: "asc" }, primary];
+}
+
+export function sortBooks(books, sort, userId) {
+  const criteria = [...sort, { key: "number", direction: "asc" }];
+  return [...books].sort((a, b) => {
+    for (const { key, direction } of criteria) {
+      const result = compareBy[key](a, b, userId);
+      if (result !== 0) return direction === "asc" ? result : -result;
+    }
+    return 0;
+  });
+}
@@ -0,0 +1,218 @@
+import {
+  DEFAULT_BOOK_SORT,
+  applyBookUpdate,
+  filterBooks,
+  readBookFilters,
+  readBookSort,
+  sortBooks,
+  toggleBookSort,
+  writeBookFilters,
+} from "@/lib/books";
+
+const me = "u1";
+const other = "u2";
+
+const book = (number, title, readings = {}) => ({
+  id: `b${number}`,
+  number,
+  title,
+  readings,
+});
+
+const books = [
+  book(1, "The Hobbit", {
+    [me]: { status: "Completed", rating: 9 },
+    [other]: { status: "Completed", rating: 7 },
+  }),
+  book(2, "Dune", { [me]: { status: "Reading", rating: null } }),
+  book(3, "Hyperion", { [other]: { status: "Completed", rating: 6 } }),
+  book(4, "Middlemarch"),
+];
+
+const titles = (list) => list.map((b) => b.title);
+
+const filters = (overrides) => ({
+  query: "",
+  status: "all",
+  minRating: "",
+  maxRating: "",
+  ...overrides,
+});
+
+describe("filterBooks", () => {
+  it("keeps everything without filters", () => {
+    expect(filterBooks(books, filters(), me)).toHaveLength(4);
+  });
+
+  it("matches titles fuzzily", () => {
+    expect(titles(filterBooks(books, filters({ query: "hbt" }), me))).toEqual(
+      ["The Hobbit"],
+    );
+    expect(filterBooks(books, filters({ query: "xyz" }), me)).toEqual([]);
+  });
+
+  it("filters on the reader's own status", () => {
+    expect(
+      titles(filterBooks(books, filters({ status: "Completed" }), me)),
+    ).toEqual(["The Hobbit"]);
+    expect(
+      titles(filterBooks(books, filters({ status: "Completed" }), other)),
+    ).toEqual(["The Hobbit", "Hyperion"]);
+  });
+
+  it("counts books without a reading as To Read", () => {
+    expect(
+      titles(filterBooks(books, filters({ status: "To Read" }), me)),
+    ).toEqual(["Hyperion", "Middlemarch"]);
+  });
+
+  it("filters on the average rating, leaving out unrated books", () => {
+    expect(
+      titles(filterBooks(books, filters({ minRating: "7" }), me)),
+    ).toEqual(["The Hobbit"]);
+    expect(
+      titles(filterBooks(books, filters({ maxRating: "6.5" }), me)),
+    ).toEqual(["Hyperion"]);
+    expect(
+      titles(
+        filterBooks(books, filters({ minRating: "6", maxRating: "8" }), me),
+      ),
+    ).toEqual(["The Hobbit", "Hyperion"]);
+  });
+});
+
+describe("book filters in the query string", () => {
+  it("round-trips through the URL", () => {
+    const search = writeBookFilters(
+      "?dialog=add",
+      filters({ query: "dune", status: "Reading", minRating: "5" }),
+    );
+    expect(search).toBe("?dialog=add&q=dune&status=Reading&min=5");
+    expect(readBookFilters(search)).toEqual(
+      filters({ query: "dune", status: "Reading", minRating: "5" }),
+    );
+  });
+
+  it("leaves defaults out of the URL", () => {
+    expect(writeBookFilters("?q=old", filters())).toBe("");
+  });
+
+  it("ignores unknown statuses", () => {
+    expect(readBookFilters("?status=Lost").status).toBe("all");
+  });
+});
+
+describe("sortBooks", () => {
+  const sorted = (sort, userId = me) => titles(sortBooks(books, sort, userId));
+
+  it("sorts by number by default", () => {
+    expect(sorted(DEFAULT_BOOK_SORT)).toEqual([
+      "The Hobbit",
+      "Dune",
+      "Hyperion",
+      "Middlemarch",
+    ]);
+  });
+
+  it("sorts titles ignoring case, with numbers in numeric order", () => {
+    const list = [
+      book(1, "b"),
+      book(2, "A"),
+      book(3, "Book 10"),
+      book(4, "Book 9"),
+    ];
+    expect(
+      titles(sortBooks(list, [{ key: "title", direction: "asc" }], me)),
+    ).toEqual(["A", "b", "Book 9", "Book 10"]);
+  });
+
+  it("sorts by the reader's status in shelf order", () => {
+    expect(sorted([{ key: "status", direction: "asc" }])).toEqual([
+      "Hyperion",
+      "Middlemarch",
+      "Dune",
+      "The Hobbit",
+    ]);
+  });
+
+  it("puts unrated books last when sorting by rating descending", () => {
+    expect(sorted([{ key: "rating", direction: "desc" }])).toEqual([
+      "The Hobbit",
+      "Hyperion",
+      "Dune",
+      "Middlemarch",
+    ]);
+  });
+
+  it("breaks ties with the secondary key, then the number", () => {
+    expect(
+      sorted([
+        { key: "status", direction: "desc" },
+        { key: "title", direction: "desc" },
+      ]),
+    ).toEqual(["The Hobbit", "Dune", "Middlemarch", "Hyperion"]);
+    expect(sorted([{ key: "status", direction: "desc" }])).toEqual([
+      "The Hobbit",
+      "Dune",
+      "Hyperion",
+      "Middlemarch",
+    ]);
+  });
+});
+
+describe("toggleBookSort", () => {
+  it("flips the direction of the primary key", () => {
+    expect(toggleBookSort(DEFAULT_BOOK_SORT, "number")).toEqual([
+      { key: "number", direction: "desc" },
+    ]);
+  });
+
+  it("makes a new key primary and keeps the old primary second", () => {
+    const sort = toggleBookSort(
+      [
+        { key: "title", direction: "desc" },
+        { key: "number", direction: "asc" },
+      ],
+      "rating",
+    );
+    expect(sort).toEqual([
+      { key: "rating", direction: "asc" },
+      { key: "title", direction: "desc" },
+    ]);
+  });
+});
+
+describe("readBookSort", () => {
+  it("reads a saved sort", () => {
+    const sort = [{ key: "title", direction: "desc" }];
+    expect(readBookSort(JSON.stringify(sort))).toEqual(sort);
+  });
+
+  it.each([null, "", "not json", "[]", '[{"key":"author","direction":"asc"}]'])(
+    "falls back to the default for %p",
+    (stored) => {
+      expect(readBookSort(stored)).toEqual(DEFAULT_BOOK_SORT);
+    },
+  );
+});
+
+describe("applyBookUpdate", () => {
+  const [hobbit] = books;
+
+  it("clears the reader's rating when it's set to null", () => {
+    const updated = applyBookUpdate(hobbit, { rating: null }, me);
+    expect(updated.readings[me]).toEqual({ status: "Completed", rating: null });
+    expect(updated.readings[other].rating).toBe(7);
+  });
+
+  it("leaves the rating alone when it isn't sent", () => {
+    const updated = applyBookUpdate(hobbit, { title: "The Hobbit" }, me);
+    expect(updated.readings[me].rating).toBe(9);
+  });
+
+  it("doesn't make someone a reader for editing the details", () => {
+    const updated = applyBookUpdate(hobbit, { pages: 310 }, "u3");
+    expect(updated.pages).toBe(310);
+    expect(updated.readings.u3).toBeUndefined();
+  });
+});
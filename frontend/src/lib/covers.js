@@ -0,0 +1,61 @@
+// Covers are shrunk in the browser before upload, so the backend only ever
+// stores small thumbnails and the book list stays quick to load.
+
+const THUMBNAIL_WIDTH = 300;
+const THUMBNAIL_HEIGHT = 450;
+const THUMBNAIL_QUALITY = 0.82;
+
+export const isImageFile = (file) => Boolean(file?.type.startsWith("image/"));
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("That file isn't an image we can read"));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Scales an image file down to fit a cover thumbnail, keeping its aspect
+ * ratio, and resolves to a JPEG Blob. Small images are only re-encoded.
+ */
+export async function makeCoverThumbnail(file) {
+  const image = await loadImage(file);
+  const scale = Math.min(
+    1,
+    THUMBNAIL_WIDTH / image.naturalWidth,
+    THUMBNAIL_HEIGHT / image.naturalHeight,
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+  const context = canvas.getContext("2d");
+  // JPEG has no transparency; keep transparent PNGs from turning black
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not resize the image")),
+      "image/jpeg",
+      THUMBNAIL_QUALITY,
+    );
+  });
+}
+
+// Uploaded covers come back as backend paths ("/api/covers/…")
+export const coverSrc = (url) =>
+  url?.startsWith("/api/")
+    ? `${process.env.REACT_APP_BACKEND_URL || ""}${url}`
+    : url || null;
@@ -0,0 +1,220 @@
+import { isValidIsbn, normalizeIsbn } from "@/lib/isbn";
+
+// Reading the CSV exports of Goodreads and StoryGraph into books. Each row
+// becomes a candidate `{ key, title, authors, isbn, pages, year, shelf,
+// rating, started_at, finished_at }`; its status comes from the shelf once
+// the reader has said what each shelf means.
+
+// The server takes at most this many books per import
+export const MAX_IMPORT = 1000;
+
+// A shelf mapped to this is left out of the import
+export const SKIP_SHELF = "skip";
+
+const SHELF_STATUSES = {
+  read: "Completed",
+  "currently-reading": "Reading",
+  paused: "Reading",
+  "to-read": "To Read",
+  "did-not-finish": SKIP_SHELF,
+};
+
+// Other shelves are the reader's own; they most likely hold unread books
+export const guessShelfStatus = (shelf) => SHELF_STATUSES[shelf] || "To Read";
+
+// Rows of fields, following RFC 4180: quoted fields may hold commas,
+// newlines and doubled quotes
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+const splitList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Goodreads wraps ISBNs as ="0123456789" so spreadsheets keep the zeros
+function readIsbn(...values) {
+  for (const value of values) {
+    const isbn = normalizeIsbn((value || "").replace(/[="]/g, ""));
+    if (isValidIsbn(isbn)) return isbn;
+  }
+  return null;
+}
+
+function readInteger(value, min = 1) {
+  const number = Number(value);
+  return value && Number.isInteger(number) && number >= min ? number : null;
+}
+
+// Both apps write dates as YYYY/MM/DD
+function readDay(value) {
+  const match = (value || "")
+    .trim()
+    .match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+}
+
+// Five stars, in halves or quarters on StoryGraph, to our 1–10; 0 is unrated
+function readStars(value) {
+  const stars = Number(value);
+  if (!value || !Number.isFinite(stars) || stars <= 0) return null;
+  return Math.min(10, Math.max(1, Math.round(stars * 4) / 2));
+}
+
+const FORMATS = [
+  {
+    name: "Goodreads",
+    columns: ["Title", "Exclusive Shelf", "My Rating"],
+    read: (row) => ({
+      title: row["Title"],
+      authors: [row["Author"], ...splitList(row["Additional Authors"])]
+        .map((author) => (author || "").trim())
+        .filter(Boolean),
+      isbn: readIsbn(row["ISBN13"], row["ISBN"]),
+      pages: readInteger(row["Number of Pages"]),
+      year: readInteger(
+        row["Original Publication Year"] || row["Year Published"],
+        -3000,
+      ),
+      shelf: row["Exclusive Shelf"],
+      rating: readStars(row["My Rating"]),
+      started_at: null,
+      finished_at: readDay(row["Date Read"]),
+    }),
+  },
+  {
+    name: "StoryGraph",
+    columns: ["Title", "Read Status", "Star Rating"],
+    read: (row) => {
+      // "2023/01/02-2023/02/03, ..." with the latest read last
+      const [started, finished] = splitList(row["Dates Read"])
+        .slice(-1)
+        .flatMap((range) => range.split("-"));
+      return {
+        title: row["Title"],
+        authors: splitList(row["Authors"]),
+        isbn: readIsbn(row["ISBN/UID"]),
+        pages: null,
+        year: null,
+        shelf: row["Read Status"],
+        rating: readStars(row["Star Rating"]),
+        started_at: readDay(started),
+        finished_at: readDay(row["Last Date Read"]) || readDay(finished),
+      };
+    },
+  },
+];
+
+/**
+ * The books in a Goodreads or StoryGraph CSV export, as
+ * `{ format, books }`. Throws when the file is neither.
+ */
+export function readExport(text) {
+  const [headers = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  const names = headers.map((header) => header.trim());
+  const format = FORMATS.find((f) =>
+    f.columns.every((column) => names.includes(column)),
+  );
+  if (!format) {
+    throw new Error("That isn't a Goodreads or StoryGraph export");
+  }
+
+  const books = rows
+    .map((values) => Object.fromEntries(names.map((n, i) => [n, values[i]])))
+    .map(format.read)
+    .map((book, i) => ({
+      ...book,
+      key: i,
+      title: (book.title || "").trim(),
+      shelf: (book.shelf || "").trim().toLowerCase() || "to-read",
+    }))
+    .filter((book) => book.title);
+  return { format: format.name, books };
+}
+
+export const shelvesOf = (books) => [...new Set(books.map((b) => b.shelf))];
+
+// Series and subtitles differ between apps: "Dune (Dune, #1)" is "Dune"
+const titleKey = (title) =>
+  title
+    .toLowerCase()
+    .replace(/\(.*?\)/g, "")
+    .split(":")[0]
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+/**
+ * Marks each candidate that is already in the library, or earlier in the
+ * file, by title or ISBN: `duplicate` is the title it matched, or null.
+ */
+export function markDuplicates(candidates, books) {
+  const titles = new Map(books.map((book) => [titleKey(book.title), book]));
+  const isbns = new Map(
+    books.filter((book) => book.isbn).map((book) => [book.isbn, book]),
+  );
+  return candidates.map((candidate) => {
+    const key = titleKey(candidate.title);
+    const match =
+      titles.get(key) || (candidate.isbn && isbns.get(candidate.isbn));
+    if (!titles.has(key)) titles.set(key, candidate);
+    if (candidate.isbn && !isbns.has(candidate.isbn)) {
+      isbns.set(candidate.isbn, candidate);
+    }
+    return { ...candidate, duplicate: match ? match.title : null };
+  });
+}
+
+// The data to create a candidate with, once its status is known. Dates the
+// status doesn't have are dropped.
+export function toImportedBook(candidate, status) {
+  const { title, authors, isbn, pages, year, rating } = candidate;
+  return {
+    title,
+    status,
+    rating,
+    authors,
+    isbn,
+    pages,
+    year,
+    started_at: status === "To Read" ? null : candidate.started_at,
+    finished_at: status === "Completed" ? candidate.finished_at : null,
+  };
+}
@@ -0,0 +1,230 @@
+import {
+  SKIP_SHELF,
+  guessShelfStatus,
+  markDuplicates,
+  parseCsv,
+  readExport,
+  shelvesOf,
+  toImportedBook,
+} from "@/lib/csv-import";
+
+const GOODREADS_HEADER =
+  "Book Id,Title,Author,Author l-f,Additional Authors,ISBN,ISBN13," +
+  "My Rating,Average Rating,Publisher,Binding,Number of Pages," +
+  "Year Published,Original Publication Year,Date Read,Date Added," +
+  "Bookshelves,Exclusive Shelf";
+
+const STORYGRAPH_HEADER =
+  "Title,Authors,Contributors,ISBN/UID,Format,Read Status,Date Added," +
+  "Last Date Read,Dates Read,Read Count,Star Rating,Review";
+
+describe("parseCsv", () => {
+  it("splits rows and fields", () => {
+    expect(parseCsv("a,b,c\n1,2,3")).toEqual([
+      ["a", "b", "c"],
+      ["1", "2", "3"],
+    ]);
+  });
+
+  it("keeps commas, newlines and doubled quotes inside quoted fields", () => {
+    const csv = '"Dune, Part 1","Line one\nline two","Say ""hi"""';
+    expect(parseCsv(csv)).toEqual([
+      ["Dune, Part 1", "Line one\nline two", 'Say "hi"'],
+    ]);
+  });
+
+  it("takes CRLF line endings and skips blank lines", () => {
+    expect(parseCsv("a,b\r\n\r\n1,2\r\n")).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  it("keeps empty fields", () => {
+    expect(parseCsv("a,,c\n,,x")).toEqual([
+      ["a", "", "c"],
+      ["", "", "x"],
+    ]);
+  });
+});
+
+describe("readExport", () => {
+  it("reads a Goodreads export", () => {
+    const csv = [
+      GOODREADS_HEADER,
+      '1,The Hobbit,J.R.R. Tolkien,"Tolkien, J.R.R.",Christopher Tolkien,' +
+        '="0261103571",="9780261103573",4,4.28,HarperCollins,Paperback,310,' +
+        "1991,1937,2024/03/09,2024/01/01,,read",
+      '2,Dune (Dune #1),Frank Herbert,"Herbert, Frank",,="",="",0,4.27,' +
+        "Ace,Paperback,,,,,2024/01/01,,to-read",
+    ].join("\n");
+    const { format, books } = readExport(`\uFEFF${csv}`);
+    expect(format).toBe("Goodreads");
+    expect(books).toEqual([
+      {
+        key: 0,
+        title: "The Hobbit",
+        authors: ["J.R.R. Tolkien", "Christopher Tolkien"],
+        isbn: "9780261103573",
+        pages: 310,
+        year: 1937,
+        shelf: "read",
+        rating: 8,
+        started_at: null,
+        finished_at: "2024-03-09",
+      },
+      {
+        key: 1,
+        title: "Dune (Dune #1)",
+        authors: ["Frank Herbert"],
+        isbn: null,
+        pages: null,
+        year: null,
+        shelf: "to-read",
+        rating: null,
+        started_at: null,
+        finished_at: null,
+      },
+    ]);
+  });
+
+  it("reads a StoryGraph export, keeping the latest read's dates", () => {
+    const csv = [
+      STORYGRAPH_HEADER,
+      "Emma,Jane Austen,,9780141439587,paperback,read,2023/01/01," +
+        '2024/02/10,"2022/01/01-2022/02/01, 2024/01/05-2024/02/10",2,3.75,',
+      "Middlemarch,George Eliot,,,paperback,Currently-Reading,2023/01/01," +
+        ",2024/05/01-,1,,",
+    ].join("\n");
+    const { format, books } = readExport(csv);
+    expect(format).toBe("StoryGraph");
+    expect(books[0]).toMatchObject({
+      title: "Emma",
+      authors: ["Jane Austen"],
+      isbn: "9780141439587",
+      shelf: "read",
+      rating: 7.5,
+      started_at: "2024-01-05",
+      finished_at: "2024-02-10",
+    });
+    expect(books[1]).toMatchObject({
+      title: "Middlemarch",
+      shelf: "currently-reading",
+      rating: null,
+      started_at: "2024-05-01",
+      finished_at: null,
+    });
+  });
+
+  it("turns stars into ratings out of 10", () => {
+    const ratings = ["5", "4.5", "3.25", "1", "0.25", ""].map(
+      (stars) =>
+        readExport(
+          `${STORYGRAPH_HEADER}\nBook,Author,,,,read,,,,,${stars},`,
+        ).books[0].rating,
+    );
+    expect(ratings).toEqual([10, 9, 6.5, 2, 1, null]);
+  });
+
+  it("skips rows without a title and files from elsewhere", () => {
+    expect(
+      readExport(`${STORYGRAPH_HEADER}\n,Nobody,,,,read,,,,,,`).books,
+    ).toEqual([]);
+    expect(() => readExport("name,author\nDune,Herbert")).toThrow(
+      "That isn't a Goodreads or StoryGraph export",
+    );
+  });
+});
+
+describe("shelves", () => {
+  it.each([
+    ["read", "Completed"],
+    ["currently-reading", "Reading"],
+    ["to-read", "To Read"],
+    ["did-not-finish", SKIP_SHELF],
+    ["favourites", "To Read"],
+  ])("maps %s to %s", (shelf, status) => {
+    expect(guessShelfStatus(shelf)).toBe(status);
+  });
+
+  it("lists each shelf once, in file order", () => {
+    const books = [{ shelf: "read" }, { shelf: "to-read" }, { shelf: "read" }];
+    expect(shelvesOf(books)).toEqual(["read", "to-read"]);
+  });
+});
+
+describe("markDuplicates", () => {
+  const library = [
+    { id: "b1", title: "Dune", isbn: null },
+    { id: "b2", title: "The Hobbit", isbn: "9780261103573" },
+  ];
+  const candidate = (title, isbn = null) => ({ title, isbn });
+  const duplicates = (...candidates) =>
+    markDuplicates(candidates, library).map((c) => c.duplicate);
+
+  it("matches titles ignoring case, series and subtitles", () => {
+    expect(
+      duplicates(
+        candidate("DUNE (Dune Chronicles, #1)"),
+        candidate("Dune: Deluxe Edition"),
+        candidate("Dune Messiah"),
+      ),
+    ).toEqual(["Dune", "Dune", null]);
+  });
+
+  it("matches ISBNs whatever the title", () => {
+    expect(
+      duplicates(candidate("There and Back Again", "9780261103573")),
+    ).toEqual(["The Hobbit"]);
+  });
+
+  it("marks repeats within the file after the first", () => {
+    expect(
+      duplicates(
+        candidate("Emma", "9780141439587"),
+        candidate("emma"),
+        candidate("Emma (Penguin Classics)", "9780141439587"),
+      ),
+    ).toEqual([null, "Emma", "Emma"]);
+  });
+});
+
+describe("toImportedBook", () => {
+  const candidate = {
+    key: 0,
+    title: "Emma",
+    authors: ["Jane Austen"],
+    isbn: null,
+    pages: 474,
+    year: 1815,
+    shelf: "read",
+    rating: 8,
+    started_at: "2024-01-05",
+    finished_at: "2024-02-10",
+  };
+
+  it("keeps both dates of a finished book", () => {
+    expect(toImportedBook(candidate, "Completed")).toEqual({
+      title: "Emma",
+      status: "Completed",
+      rating: 8,
+      authors: ["Jane Austen"],
+      isbn: null,
+      pages: 474,
+      year: 1815,
+      started_at: "2024-01-05",
+      finished_at: "2024-02-10",
+    });
+  });
+
+  it("drops the dates the status doesn't have", () => {
+    expect(toImportedBook(candidate, "Reading")).toMatchObject({
+      started_at: "2024-01-05",
+      finished_at: null,
+    });
+    expect(toImportedBook(candidate, "To Read")).toMatchObject({
+      started_at: null,
+      finished_at: null,
+    });
+  });
+});
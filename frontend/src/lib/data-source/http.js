@@ -0,0 +1,7 @@
+import axios from "axios";
+
+export const API = `${process.env.REACT_APP_BACKEND_URL}/api`;
+
+// Talks to the FastAPI backend
+export const httpRequest = (request) =>
+  axios({ ...request, url: `${API}${request.url}` });
@@ -0,0 +1,18 @@
+import { httpRequest } from "@/lib/data-source/http";
+import { localRequest } from "@/lib/data-source/local";
+
+/**
+ * Every API call goes through `apiRequest(request)`, where `request` is an
+ * axios-style config whose `url` is relative to the API root, e.g.
+ * `{ method: "put", url: "/books/1", data }`. It resolves to `{ data }` and
+ * rejects like axios: errors from the API carry `response.status` and
+ * `response.data.detail`, unreachable backends have no `response`.
+ *
+ * Builds without REACT_APP_BACKEND_URL (such as the GitHub Pages one), or
+ * with REACT_APP_DATA_SOURCE=local, keep everything in the browser instead.
+ */
+export const isLocalDataSource =
+  process.env.REACT_APP_DATA_SOURCE === "local" ||
+  !process.env.REACT_APP_BACKEND_URL;
+
+export const apiRequest = isLocalDataSource ? localRequest : httpRequest;
@@ -0,0 +1,670 @@
+// In-browser stand-in for the backend, used when there is none. It answers
+// the same routes as backend/server.py with the same rules, keeping the
+// library in IndexedDB. There are no logins: the first reader is "signed in".
+
+import { READING_DATE_FIELDS, statusDates } from "@/lib/books";
+import { today } from "@/lib/dates";
+import { openDatabase, requestResult, transactionDone } from "@/lib/idb";
+import { EXPORT_VERSION, recordKey } from "@/lib/library-backup";
+import { matchPath } from "@/lib/match-path";
+import { applyProgress } from "@/lib/progress";
+
+const DB_NAME = "reading-tracker-local";
+const DB_VERSION = 1;
+const STORE = "tables";
+const TABLES = ["books", "quotes", "users", "goals"];
+
+const openLocalDatabase = () =>
+  openDatabase(DB_NAME, DB_VERSION, (db) => db.createObjectStore(STORE));
+
+let tablesPromise = null;
+
+// The whole library is small enough to keep in memory between requests
+function loadTables() {
+  if (!tablesPromise) {
+    tablesPromise = openLocalDatabase().then(async (db) => {
+      const store = db.transaction(STORE, "readonly").objectStore(STORE);
+      const rows = await Promise.all(
+        TABLES.map((name) => requestResult(store.get(name))),
+      );
+      return Object.fromEntries(TABLES.map((name, i) => [name, rows[i] || []]));
+    });
+    tablesPromise.catch(() => {
+      tablesPromise = null;
+    });
+  }
+  return tablesPromise;
+}
+
+async function saveTables(tables) {
+  const db = await openLocalDatabase();
+  const tx = db.transaction(STORE, "readwrite");
+  TABLES.forEach((name) => tx.objectStore(STORE).put(tables[name], name));
+  return transactionDone(tx);
+}
+
+function httpError(status, detail) {
+  const error = new Error(detail);
+  error.response = { status, data: { detail } };
+  return error;
+}
+
+const now = () => new Date().toISOString();
+
+const newId = () =>
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Same idea as generate_color() on the server: a stable pastel per seed
+function generateColor(seed) {
+  let hash = 0;
+  for (const char of seed) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  const hue = hash % 360;
+  const lightness = 0.75;
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * 0.6;
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    const value =
+      lightness - (chroma / 2) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255)
+      .toString(16)
+      .padStart(2, "0");
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+// Shared descriptive fields; null clears them (lists become empty)
+const BOOK_METADATA = {
+  authors: [],
+  pages: null,
+  genres: [],
+  isbn: null,
+  year: null,
+  cover_url: null,
+};
+
+function bookMetadata(data) {
+  const metadata = {};
+  for (const [field, empty] of Object.entries(BOOK_METADATA)) {
+    if (data?.[field] !== undefined) metadata[field] = data[field] ?? empty;
+  }
+  return metadata;
+}
+
+const definedFields = (data, fields) =>
+  Object.fromEntries(
+    fields
+      .filter((field) => data?.[field] !== undefined && data[field] !== null)
+      .map((field) => [field, data[field]]),
+  );
+
+const byNumber = (a, b) => a.number - b.number;
+
+function renumber(books) {
+  books.sort(byNumber).forEach((book, idx) => {
+    book.number = idx + 1;
+  });
+}
+
+// Every book starts with one so it gets a quote card
+const blankQuote = (book) => ({
+  id: newId(),
+  book_id: book.id,
+  book_title: book.title,
+  text: "",
+  user_id: null,
+  discussion: "",
+  created_at: now(),
+  updated_at: now(),
+});
+
+function findOr404(rows, id, label) {
+  const row = rows.find((r) => r.id === id);
+  if (!row) throw httpError(404, `${label} not found`);
+  return row;
+}
+
+function createUser(tables, { name, color, avatar_url }) {
+  if (!name?.trim()) throw httpError(400, "Name is required");
+  const id = newId();
+  const user = {
+    id,
+    name,
+    username: null,
+    color: color || generateColor(id),
+    avatar_url: avatar_url || null,
+    created_at: now(),
+  };
+  tables.users.push(user);
+  return user;
+}
+
+async function currentUser(tables) {
+  if (tables.users.length === 0) {
+    createUser(tables, { name: "Reader" });
+    await saveTables(tables);
+  }
+  return tables.users[0];
+}
+
+// Nothing in the library is theirs, like the reader made up for an empty one
+const hasNoData = (tables, userId) =>
+  !tables.books.some(
+    (book) =>
+      book.readings?.[userId] ||
+      (book.progress || []).some((entry) => entry.user_id === userId),
+  ) &&
+  !tables.quotes.some((quote) => quote.user_id === userId) &&
+  !tables.goals.some((goal) => goal.user_id === userId);
+
+// Merges an export into the library, matching records by id (goals by
+// reader and year). A replace first drops everything the export doesn't
+// have, except the reader restoring it. With no logins to go by, `meId`
+// says which reader to be from then on; the one restoring is dropped if
+// nothing is theirs.
+async function importLibrary(tables, data, mode = "merge", meId) {
+  if (!data || typeof data.version !== "number") {
+    throw httpError(400, "Not a library export");
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw httpError(400, "This export is from a newer version of the app");
+  }
+  if (mode !== "merge" && mode !== "replace") {
+    throw httpError(422, "mode must be merge or replace");
+  }
+  const me = await currentUser(tables);
+  if (
+    meId &&
+    ![...(data.users || []), ...tables.users].some((u) => u.id === meId)
+  ) {
+    throw httpError(422, "me must be one of the readers");
+  }
+  const counts = { removed: 0 };
+  if (mode === "replace") {
+    for (const name of TABLES) {
+      const incoming = new Set(
+        (Array.isArray(data[name]) ? data[name] : []).map((row) =>
+          recordKey(name, row),
+        ),
+      );
+      const kept = tables[name].filter(
+        (row) => row === me || incoming.has(recordKey(name, row)),
+      );
+      counts.removed += tables[name].length - kept.length;
+      tables[name] = kept;
+    }
+  }
+  for (const name of TABLES) {
+    const incoming = Array.isArray(data[name]) ? data[name] : [];
+    incoming.forEach((row) => {
+      // Logins don't carry over between installations
+      const record = name === "users" ? { ...row, username: null } : row;
+      const index = tables[name].findIndex(
+        (r) => recordKey(name, r) === recordKey(name, record),
+      );
+      if (index === -1) tables[name].push(record);
+      else tables[name][index] = record;
+    });
+    counts[name] = incoming.length;
+  }
+  tables.books.sort(
+    (a, b) => a.number - b.number || a.created_at.localeCompare(b.created_at),
+  );
+  renumber(tables.books);
+  // The first reader is the one signed in
+  const chosen = tables.users.find((user) => user.id === meId);
+  if (chosen && chosen.id !== me.id) {
+    tables.users = [
+      chosen,
+      ...tables.users.filter(
+        (user) =>
+          user !== chosen && (user.id !== me.id || !hasNoData(tables, me.id)),
+      ),
+    ];
+  }
+  return counts;
+}
+
+const COVER_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+function readAsDataUrl(file) {
+  if (!COVER_TYPES.includes(file?.type)) {
+    throw httpError(400, "Covers must be JPEG, PNG or WebP images");
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+const routes = [
+  ["get", "/auth/me", (tables) => currentUser(tables)],
+  [
+    "get",
+    "/auth/setup",
+    () => ({ needs_setup: false, unclaimed_users: [] }),
+  ],
+  ["post", "/auth/logout", () => ({ message: "Logged out" })],
+
+  ["get", "/books", (tables) => [...tables.books].sort(byNumber)],
+  [
+    "post",
+    "/books",
+    async (tables, { data }) => {
+      const existing = data.id && tables.books.find((b) => b.id === data.id);
+      if (existing) return existing;
+      const me = await currentUser(tables);
+      const book = {
+        id: data.id || newId(),
+        title: data.title,
+        readings: {
+          [me.id]: {
+            status: data.status,
+            rating: data.rating ?? null,
+            ...statusDates({}, data.status, today()),
+          },
+        },
+        history: [{ user_id: me.id, status: data.status, changed_at: now() }],
+        ...BOOK_METADATA,
+        ...bookMetadata(data),
+        number: Math.max(0, ...tables.books.map((b) => b.number)) + 1,
+        created_at: now(),
+        updated_at: now(),
+      };
+      tables.books.push(book);
+      tables.quotes.push(blankQuote(book));
+      return book;
+    },
+  ],
+  [
+    "post",
+    "/books/bulk",
+    async (tables, { data }) => {
+      const taken = new Set(tables.books.map((b) => b.id));
+      const me = await currentUser(tables);
+      let number = Math.max(0, ...tables.books.map((b) => b.number));
+      // Imported books have no status history, only the dates they came with
+      const created = (data.books || [])
+        .filter((item) => !taken.has(item.id))
+        .map((item) => ({
+          id: item.id || newId(),
+          title: item.title,
+          readings: {
+            [me.id]: {
+              status: item.status,
+              rating: item.rating ?? null,
+              started_at: item.started_at ?? null,
+              finished_at: item.finished_at ?? null,
+            },
+          },
+          history: [],
+          ...BOOK_METADATA,
+          ...bookMetadata(item),
+          number: (number += 1),
+          created_at: now(),
+          updated_at: now(),
+        }));
+      tables.books.push(...created);
+      tables.quotes.push(...created.map(blankQuote));
+      return created;
+    },
+  ],
+  [
+    "put",
+    "/books/reorder",
+    (tables, { data }) => {
+      const ids = data.book_ids || [];
+      const known = new Set(tables.books.map((b) => b.id));
+      if (
+        ids.length !== known.size ||
+        new Set(ids).size !== ids.length ||
+        !ids.every((id) => known.has(id))
+      ) {
+        throw httpError(400, "book_ids must list every book exactly once");
+      }
+      tables.books.forEach((book) => {
+        book.number = ids.indexOf(book.id) + 1;
+      });
+      return [...tables.books].sort(byNumber);
+    },
+  ],
+  [
+    "put",
+    "/books/:id",
+    async (tables, { params, data }) => {
+      const updates = definedFields(data, ["title", "status"]);
+      const metadata = bookMetadata(data);
+      // Unlike the status, the rating and dates can be cleared with null
+      const cleared = Object.fromEntries(
+        ["rating", ...READING_DATE_FIELDS]
+          .filter((field) => data?.[field] !== undefined)
+          .map((field) => [field, data[field]]),
+      );
+      if (Object.keys({ ...updates, ...metadata, ...cleared }).length === 0) {
+        throw httpError(400, "No fields to update");
+      }
+      const book = findOr404(tables.books, params.id, "Book");
+      const me = await currentUser(tables);
+      Object.assign(book, metadata);
+      if (updates.title !== undefined) {
+        book.title = updates.title;
+        tables.quotes
+          .filter((q) => q.book_id === book.id)
+          .forEach((q) => {
+            q.book_title = updates.title;
+          });
+      }
+      const reading = {
+        status: "To Read",
+        rating: null,
+        started_at: null,
+        finished_at: null,
+        ...book.readings?.[me.id],
+      };
+      if (updates.status !== undefined && updates.status !== reading.status) {
+        book.history = [
+          ...(book.history || []),
+          { user_id: me.id, status: updates.status, changed_at: now() },
+        ];
+        Object.assign(reading, statusDates(reading, updates.status, today()));
+      }
+      if (updates.status !== undefined || Object.keys(cleared).length > 0) {
+        book.readings = {
+          ...book.readings,
+          [me.id]: {
+            ...reading,
+            ...definedFields(updates, ["status"]),
+            ...cleared,
+          },
+        };
+      }
+      book.updated_at = now();
+      return book;
+    },
+  ],
+  [
+    "post",
+    "/books/:id/progress",
+    async (tables, { params, data }) => {
+      const hasPage = data.page !== null && data.page !== undefined;
+      const hasPercent = data.percent !== null && data.percent !== undefined;
+      if (hasPage === hasPercent) {
+        throw httpError(400, "Log either a page or a percentage");
+      }
+      const book = findOr404(tables.books, params.id, "Book");
+      if (data.id && (book.progress || []).some((e) => e.id === data.id)) {
+        return book;
+      }
+      const me = await currentUser(tables);
+      const entry = {
+        id: data.id || newId(),
+        user_id: me.id,
+        date: data.date,
+        page: data.page ?? null,
+        percent: data.percent ?? null,
+        note: data.note || "",
+        created_at: now(),
+      };
+      Object.assign(book, applyProgress(book, entry, me.id), {
+        updated_at: now(),
+      });
+      return book;
+    },
+  ],
+  [
+    "delete",
+    "/books/:id/progress/:entryId",
+    (tables, { params }) => {
+      const book = findOr404(tables.books, params.id, "Book");
+      findOr404(book.progress || [], params.entryId, "Progress entry");
+      book.progress = book.progress.filter((e) => e.id !== params.entryId);
+      book.updated_at = now();
+      return book;
+    },
+  ],
+  [
+    "delete",
+    "/books/:id",
+    (tables, { params, query }) => {
+      const mode = query.quotes || "delete";
+      let target = null;
+      if (mode === "move") {
+        if (!query.target_book_id || query.target_book_id === params.id) {
+          throw httpError(
+            400,
+            "A different target book is required to move quotes",
+          );
+        }
+        target = tables.books.find((b) => b.id === query.target_book_id);
+        if (!target) throw httpError(404, "Target book not found");
+      }
+      findOr404(tables.books, params.id, "Book");
+      tables.books = tables.books.filter((b) => b.id !== params.id);
+      tables.quotes = tables.quotes.flatMap((q) => {
+        if (q.book_id !== params.id) return [q];
+        if (!q.text || mode === "delete") return [];
+        if (mode === "orphan") return [{ ...q, book_id: null }];
+        return [{ ...q, book_id: target.id, book_title: target.title }];
+      });
+      renumber(tables.books);
+      return { message: "Book deleted successfully" };
+    },
+  ],
+  [
+    "get",
+    "/books/:id/quotes",
+    (tables, { params }) => tables.quotes.filter((q) => q.book_id === params.id),
+  ],
+
+  [
+    "get",
+    "/users",
+    (tables) =>
+      [...tables.users].sort((a, b) => a.created_at.localeCompare(b.created_at)),
+  ],
+  ["post", "/users", (tables, { data }) => createUser(tables, data)],
+  [
+    "put",
+    "/users/:id",
+    (tables, { params, data }) => {
+      const updates = definedFields(data, ["name", "color", "avatar_url"]);
+      if (Object.keys(updates).length === 0) {
+        throw httpError(400, "No fields to update");
+      }
+      const user = findOr404(tables.users, params.id, "User");
+      if (updates.avatar_url === "") updates.avatar_url = null;
+      if (updates.color === "") updates.color = generateColor(user.id);
+      Object.assign(user, updates);
+      return user;
+    },
+  ],
+  [
+    "put",
+    "/users/:id/credentials",
+    () => {
+      throw httpError(400, "Logins need the backend");
+    },
+  ],
+  [
+    "delete",
+    "/users/:id",
+    async (tables, { params }) => {
+      const me = await currentUser(tables);
+      if (params.id === me.id) {
+        throw httpError(400, "You cannot remove yourself");
+      }
+      if (tables.quotes.some((q) => q.user_id === params.id)) {
+        throw httpError(409, "User still has quotes");
+      }
+      findOr404(tables.users, params.id, "User");
+      tables.users = tables.users.filter((u) => u.id !== params.id);
+      tables.goals = tables.goals.filter((g) => g.user_id !== params.id);
+      return { message: "User deleted successfully" };
+    },
+  ],
+
+  ["get", "/quotes", (tables) => tables.quotes],
+  [
+    "post",
+    "/quotes",
+    async (tables, { data }) => {
+      const existing = data.id && tables.quotes.find((q) => q.id === data.id);
+      if (existing) return existing;
+      const book = findOr404(tables.books, data.book_id, "Book");
+      const me = await currentUser(tables);
+      const quote = {
+        id: data.id || newId(),
+        book_id: book.id,
+        book_title: book.title,
+        text: data.text,
+        user_id: me.id,
+        discussion: data.discussion || "",
+        created_at: now(),
+        updated_at: now(),
+      };
+      tables.quotes.push(quote);
+      return quote;
+    },
+  ],
+  [
+    "put",
+    "/quotes/:id",
+    (tables, { params, data }) => {
+      const updates = definedFields(data, ["text", "discussion"]);
+      if (Object.keys(updates).length === 0) {
+        throw httpError(400, "No fields to update");
+      }
+      const quote = findOr404(tables.quotes, params.id, "Quote");
+      Object.assign(quote, updates, { updated_at: now() });
+      return quote;
+    },
+  ],
+  [
+    "delete",
+    "/quotes/:id",
+    (tables, { params }) => {
+      findOr404(tables.quotes, params.id, "Quote");
+      tables.quotes = tables.quotes.filter((q) => q.id !== params.id);
+      return { message: "Quote deleted successfully" };
+    },
+  ],
+
+  [
+    "get",
+    "/goals",
+    (tables) =>
+      [...tables.goals].sort(
+        (a, b) => a.year - b.year || a.user_id.localeCompare(b.user_id),
+      ),
+  ],
+  [
+    "put",
+    "/goals/:year",
+    async (tables, { params, data }) => {
+      const target = Number(data?.target);
+      if (!Number.isInteger(target) || target < 1) {
+        throw httpError(422, "target must be a whole number from 1");
+      }
+      const me = await currentUser(tables);
+      const year = Number(params.year);
+      let goal = tables.goals.find(
+        (g) => g.user_id === me.id && g.year === year,
+      );
+      if (!goal) {
+        goal = { id: newId(), user_id: me.id, year, created_at: now() };
+        tables.goals.push(goal);
+      }
+      Object.assign(goal, {
+        target,
+        monthly_target: data.monthly_target ?? null,
+        updated_at: now(),
+      });
+      return goal;
+    },
+  ],
+  [
+    "delete",
+    "/goals/:year",
+    async (tables, { params }) => {
+      const me = await currentUser(tables);
+      const year = Number(params.year);
+      const mine = (g) => g.user_id === me.id && g.year === year;
+      if (!tables.goals.some(mine)) throw httpError(404, "Goal not found");
+      tables.goals = tables.goals.filter((g) => !mine(g));
+      return { message: "Goal deleted successfully" };
+    },
+  ],
+
+  // With nowhere to put files, a cover is kept inline as a data: URL
+  [
+    "post",
+    "/covers",
+    async (tables, { data }) => ({
+      url: await readAsDataUrl(data.get("file")),
+    }),
+  ],
+
+  [
+    "get",
+    "/export",
+    (tables) => ({
+      version: EXPORT_VERSION,
+      exported_at: now(),
+      books: [...tables.books].sort(byNumber),
+      quotes: tables.quotes,
+      users: tables.users,
+      goals: tables.goals,
+    }),
+  ],
+  [
+    "post",
+    "/import",
+    (tables, { data, query }) =>
+      importLibrary(tables, data, query.mode, query.me),
+  ],
+];
+
+function matchRoute(method, path) {
+  for (const [routeMethod, pattern, handler] of routes) {
+    if (routeMethod !== method) continue;
+    const params = matchPath(pattern, path);
+    if (params) return { handler, params };
+  }
+  return null;
+}
+
+// Requests run one at a time so writes never interleave
+let queue = Promise.resolve();
+
+export function localRequest({ method = "get", url, data, params = {} }) {
+  const run = async () => {
+    const [path] = url.split("?");
+    const route = matchRoute(method.toLowerCase(), path.replace(/\/$/, ""));
+    if (!route) throw httpError(404, "Not Found");
+
+    const tables = await loadTables();
+    try {
+      const result = await route.handler(tables, {
+        params: route.params,
+        data,
+        query: params,
+      });
+      if (method.toLowerCase() !== "get") await saveTables(tables);
+      // Callers get copies, so React state never aliases the stored rows
+      return { data: structuredClone(result) };
+    } catch (error) {
+      // Handlers change the tables in place, so one that failed partway, or
+      // whose changes didn't save, leaves them ahead of what's stored. The
+      // next request reads them back instead.
+      tablesPromise = null;
+      throw error;
+    }
+  };
+
+  const response = queue.then(run, run);
+  queue = response.catch(() => {});
+  return response;
+}
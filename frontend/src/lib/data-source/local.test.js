@@ -0,0 +1,253 @@
+// Stands in for IndexedDB: one store whose writes land when the transaction
+// completes, or not at all once mockFailWrites(true) is called
+jest.mock("@/lib/idb", () => {
+  const stored = new Map();
+  let failWrites = false;
+  const copy = (value) =>
+    value === undefined ? value : JSON.parse(JSON.stringify(value));
+  return {
+    mockFailWrites: (fail) => {
+      failWrites = fail;
+    },
+    openDatabase: async () => ({
+      transaction: () => {
+        const writes = new Map();
+        return {
+          writes,
+          objectStore: () => ({
+            get: (key) => ({ result: copy(stored.get(key)) }),
+            put: (value, key) => writes.set(key, copy(value)),
+          }),
+        };
+      },
+    }),
+    requestResult: async (request) => request.result,
+    transactionDone: async (tx) => {
+      if (failWrites) throw new Error("The quota has been exceeded");
+      tx.writes.forEach((value, key) => stored.set(key, value));
+    },
+  };
+});
+
+let localRequest;
+let idb;
+
+beforeAll(() => {
+  // jsdom doesn't have it; the rows are plain JSON anyway
+  global.structuredClone ??= (value) =>
+    value === undefined ? value : JSON.parse(JSON.stringify(value));
+});
+
+// Every test starts with an empty library
+beforeEach(() => {
+  jest.resetModules();
+  ({ localRequest } = require("@/lib/data-source/local"));
+  idb = require("@/lib/idb");
+});
+
+const request = async (method, url, data, params) =>
+  (await localRequest({ method, url, data, params })).data;
+
+const statusOf = (promise) =>
+  promise.then(
+    () => null,
+    (error) => error.response.status,
+  );
+
+const addBook = (title, extra = {}) =>
+  request("post", "/books", { title, status: "To Read", ...extra });
+
+describe("books", () => {
+  it("adds books for the signed-in reader, each with a blank quote", async () => {
+    const me = await request("get", "/auth/me");
+    const dune = await addBook("Dune", { status: "Reading", rating: 8 });
+    await addBook("Hyperion");
+
+    expect(dune.number).toBe(1);
+    expect(dune.readings[me.id]).toMatchObject({
+      status: "Reading",
+      rating: 8,
+    });
+    expect((await request("get", "/books")).map((b) => b.title)).toEqual([
+      "Dune",
+      "Hyperion",
+    ]);
+    expect(await request("get", `/books/${dune.id}/quotes`)).toEqual([
+      expect.objectContaining({ book_id: dune.id, text: "" }),
+    ]);
+  });
+
+  it("doesn't add a book twice when it is sent again with its id", async () => {
+    await addBook("Dune", { id: "b1" });
+    await addBook("Dune", { id: "b1" });
+    expect(await request("get", "/books")).toHaveLength(1);
+  });
+
+  it("renames a book's quotes along with it", async () => {
+    const dune = await addBook("Dune");
+    const updated = await request("put", `/books/${dune.id}`, {
+      title: "Dune Messiah",
+    });
+    expect(updated.title).toBe("Dune Messiah");
+    const [quote] = await request("get", `/books/${dune.id}/quotes`);
+    expect(quote.book_title).toBe("Dune Messiah");
+  });
+
+  it("records status changes in the reader's reading", async () => {
+    const me = await request("get", "/auth/me");
+    const dune = await addBook("Dune");
+    const updated = await request("put", `/books/${dune.id}`, {
+      status: "Completed",
+      rating: null,
+    });
+    expect(updated.readings[me.id]).toMatchObject({
+      status: "Completed",
+      rating: null,
+    });
+    expect(updated.readings[me.id].finished_at).not.toBeNull();
+    expect(updated.history.map((c) => c.status)).toEqual([
+      "To Read",
+      "Completed",
+    ]);
+  });
+
+  it("deletes a book with its blank quote and renumbers the rest", async () => {
+    const dune = await addBook("Dune");
+    await addBook("Hyperion");
+    await request("delete", `/books/${dune.id}`);
+    expect(await request("get", "/books")).toEqual([
+      expect.objectContaining({ title: "Hyperion", number: 1 }),
+    ]);
+    expect(await request("get", `/books/${dune.id}/quotes`)).toEqual([]);
+  });
+
+  it("answers 404 for books that don't exist", async () => {
+    expect(await statusOf(request("put", "/books/nope", { title: "X" }))).toBe(
+      404,
+    );
+    expect(await statusOf(request("delete", "/books/nope"))).toBe(404);
+  });
+
+  it("answers 400 for an update without fields", async () => {
+    const dune = await addBook("Dune");
+    expect(await statusOf(request("put", `/books/${dune.id}`, {}))).toBe(400);
+  });
+});
+
+describe("failed requests", () => {
+  it("don't leave changes that weren't saved", async () => {
+    const dune = await addBook("Dune");
+    idb.mockFailWrites(true);
+    await expect(
+      request("put", `/books/${dune.id}`, { title: "Dune Messiah" }),
+    ).rejects.toThrow("quota");
+    await expect(addBook("Hyperion")).rejects.toThrow("quota");
+
+    idb.mockFailWrites(false);
+    expect(await request("get", "/books")).toEqual([
+      expect.objectContaining({ title: "Dune" }),
+    ]);
+  });
+});
+
+describe("import", () => {
+  const exported = (overrides) => ({
+    version: 2,
+    books: [],
+    quotes: [],
+    users: [],
+    goals: [],
+    ...overrides,
+  });
+
+  const reader = (id, name) => ({
+    id,
+    name,
+    username: "login",
+    color: "#ccc",
+    avatar_url: null,
+    created_at: "2024-01-01T00:00:00Z",
+  });
+
+  const book = (id, title, number) => ({
+    id,
+    title,
+    number,
+    readings: {},
+    history: [],
+    created_at: "2024-01-01T00:00:00Z",
+    updated_at: "2024-01-01T00:00:00Z",
+  });
+
+  it.each([
+    ["something that isn't an export", { books: [] }, 400],
+    ["an export from a newer version", exported({ version: 99 }), 400],
+  ])("refuses %s", async (label, data, status) => {
+    expect(await statusOf(request("post", "/import", data))).toBe(status);
+  });
+
+  it("refuses unknown modes and readers", async () => {
+    const data = exported();
+    expect(
+      await statusOf(request("post", "/import", data, { mode: "wipe" })),
+    ).toBe(422);
+    expect(
+      await statusOf(request("post", "/import", data, { me: "nobody" })),
+    ).toBe(422);
+  });
+
+  it("merges by id, keeping what the export doesn't have", async () => {
+    await addBook("Dune", { id: "b1" });
+    await addBook("Hyperion", { id: "b2" });
+    const counts = await request(
+      "post",
+      "/import",
+      exported({ books: [book("b2", "Hyperion (2nd ed.)", 2)] }),
+    );
+    expect(counts).toMatchObject({ books: 1, removed: 0 });
+    expect((await request("get", "/books")).map((b) => b.title)).toEqual([
+      "Dune",
+      "Hyperion (2nd ed.)",
+    ]);
+  });
+
+  it("replaces everything but the signed-in reader", async () => {
+    const me = await request("get", "/auth/me");
+    await addBook("Dune", { id: "b1" });
+    const counts = await request(
+      "post",
+      "/import",
+      exported({
+        books: [book("b2", "Hyperion", 1)],
+        users: [reader("u2", "Ada")],
+      }),
+      { mode: "replace" },
+    );
+    // Dune and its blank quote
+    expect(counts).toMatchObject({ books: 1, users: 1, removed: 2 });
+    expect((await request("get", "/books")).map((b) => b.title)).toEqual([
+      "Hyperion",
+    ]);
+    const users = await request("get", "/users");
+    expect(users.map((u) => u.id).sort()).toEqual([me.id, "u2"].sort());
+    // Logins don't carry over
+    expect(users.find((u) => u.id === "u2").username).toBeNull();
+  });
+
+  it("signs in as the chosen reader, dropping an empty one", async () => {
+    const me = await request("get", "/auth/me");
+    await request(
+      "post",
+      "/import",
+      exported({ users: [reader("u2", "Ada")] }),
+      {
+        mode: "replace",
+        me: "u2",
+      },
+    );
+    expect((await request("get", "/auth/me")).id).toBe("u2");
+    expect((await request("get", "/users")).map((u) => u.id)).not.toContain(
+      me.id,
+    );
+  });
+});
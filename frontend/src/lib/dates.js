@@ -0,0 +1,9 @@
+import { format, parseISO } from "date-fns";
+
+// Dates come from the API as ISO strings
+export function formatDate(iso, pattern = "d MMM yyyy") {
+  return iso ? format(parseISO(iso), pattern) : "";
+}
+
+// The reader's local day as YYYY-MM-DD, the form calendar dates are kept in
+export const today = () => format(new Date(), "yyyy-MM-dd");
@@ -0,0 +1,12 @@
+// Saves `contents` as a file through the browser's download prompt
+export function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
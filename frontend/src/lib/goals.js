@@ -0,0 +1,96 @@
+import {
+  differenceInCalendarDays,
+  endOfMonth,
+  endOfYear,
+  format,
+  startOfMonth,
+  startOfYear,
+} from "date-fns";
+import { z } from "zod";
+import { finishedReadings } from "@/lib/stats";
+
+export const goalFor = (goals, userId, year) =>
+  goals.find((goal) => goal.user_id === userId && goal.year === year) || null;
+
+/**
+ * How a reader is doing against a target for the period `[start, end]`
+ * containing `now`, counting the books they finished in it. `pace` is
+ * "reached", "ahead", "on pace" or "behind" (by `behindBy` books).
+ */
+function progressFor(finished, target, start, end, now) {
+  const from = format(start, "yyyy-MM-dd");
+  const to = format(end, "yyyy-MM-dd");
+  const done = finished.filter(
+    (f) => f.finishedAt >= from && f.finishedAt <= to,
+  ).length;
+  const elapsed =
+    (differenceInCalendarDays(now, start) + 1) /
+    (differenceInCalendarDays(end, start) + 1);
+  const expected = target * Math.min(1, elapsed);
+
+  let pace = "behind";
+  if (done >= target) pace = "reached";
+  else if (done >= expected + 1) pace = "ahead";
+  else if (done >= Math.floor(expected)) pace = "on pace";
+  return {
+    done,
+    target,
+    percent: Math.min(100, (done / target) * 100),
+    pace,
+    behindBy: Math.max(0, Math.floor(expected) - done),
+  };
+}
+
+/**
+ * A reader's standing on their goal for the year `now` is in, and on its
+ * monthly target for the current month if it has one.
+ */
+export function goalProgress(goal, books, now = new Date()) {
+  const finished = finishedReadings(books).filter(
+    (f) => f.userId === goal.user_id,
+  );
+  return {
+    year: progressFor(
+      finished,
+      goal.target,
+      startOfYear(now),
+      endOfYear(now),
+      now,
+    ),
+    month: goal.monthly_target
+      ? progressFor(
+          finished,
+          goal.monthly_target,
+          startOfMonth(now),
+          endOfMonth(now),
+          now,
+        )
+      : null,
+  };
+}
+
+const wholeNumber = (max, message) =>
+  z
+    .string()
+    .trim()
+    .refine(
+      (value) =>
+        value === "" ||
+        (Number.isInteger(Number(value)) &&
+          Number(value) >= 1 &&
+          Number(value) <= max),
+      message,
+    );
+
+export const goalFormSchema = z.object({
+  target: wholeNumber(10000, "Use a whole number of books").refine(
+    (value) => value !== "",
+    "How many books this year?",
+  ),
+  monthlyTarget: wholeNumber(1000, "Use a whole number of books"),
+});
+
+export const goalForm = (goal) => ({
+  target: goal ? String(goal.target) : "",
+  monthlyTarget: goal?.monthly_target ? String(goal.monthly_target) : "",
+});
@@ -0,0 +1,91 @@
+import { goalFor, goalProgress } from "@/lib/goals";
+
+const me = "u1";
+const other = "u2";
+
+// A book `userId` finished on `day`
+let id = 0;
+const finished = (day, userId = me) => {
+  id += 1;
+  return {
+    id: `b${id}`,
+    title: `Book ${id}`,
+    readings: {
+      [userId]: { status: "Completed", rating: null, finished_at: day },
+    },
+  };
+};
+
+const finishedInJune = (count) =>
+  Array.from({ length: count }, (_, i) =>
+    finished(`2024-06-${String(i + 1).padStart(2, "0")}`),
+  );
+
+// Halfway through 2024, a leap year: day 183 of 366
+const midYear = new Date(2024, 6, 1, 12);
+const goal = { user_id: me, year: 2024, target: 12, monthly_target: null };
+
+describe("goalProgress", () => {
+  it.each([
+    [5, "behind", 1],
+    [6, "on pace", 0],
+    [7, "ahead", 0],
+    [12, "reached", 0],
+  ])("with %i of 12 books by July is %s", (count, pace, behindBy) => {
+    const { year } = goalProgress(goal, finishedInJune(count), midYear);
+    expect(year.done).toBe(count);
+    expect(year.pace).toBe(pace);
+    expect(year.behindBy).toBe(behindBy);
+  });
+
+  it("counts only the reader's books finished this year", () => {
+    const books = [
+      ...finishedInJune(2),
+      finished("2023-12-31"),
+      finished("2024-03-01", other),
+      {
+        id: "reading",
+        title: "Still reading",
+        readings: { [me]: { status: "Reading", rating: null } },
+      },
+    ];
+    expect(goalProgress(goal, books, midYear).year.done).toBe(2);
+  });
+
+  it("caps the percentage once the target is passed", () => {
+    const { year } = goalProgress(goal, finishedInJune(15), midYear);
+    expect(year.percent).toBe(100);
+    expect(year.pace).toBe("reached");
+  });
+
+  it("only tracks the month when there's a monthly target", () => {
+    expect(goalProgress(goal, [], midYear).month).toBeNull();
+  });
+
+  it("tracks this month's books against the monthly target", () => {
+    const monthly = { ...goal, monthly_target: 4 };
+    const books = [
+      ...finishedInJune(3),
+      finished("2024-07-10"),
+      finished("2024-07-12"),
+    ];
+    const { month, year } = goalProgress(
+      monthly,
+      books,
+      new Date(2024, 6, 16, 12),
+    );
+    expect(year.done).toBe(5);
+    expect(month.done).toBe(2);
+    expect(month.target).toBe(4);
+    expect(month.percent).toBe(50);
+    expect(month.pace).toBe("on pace");
+  });
+});
+
+describe("goalFor", () => {
+  it("finds a reader's goal for a year", () => {
+    const goals = [goal, { ...goal, year: 2023 }, { ...goal, user_id: other }];
+    expect(goalFor(goals, me, 2024)).toBe(goal);
+    expect(goalFor(goals, me, 2022)).toBeNull();
+  });
+});
@@ -0,0 +1,38 @@
+// Promise wrappers for the bits of IndexedDB the app uses
+
+const databases = new Map();
+
+// `upgrade(db)` creates the object stores when the database is new or its
+// version went up
+export function openDatabase(name, version, upgrade) {
+  if (!databases.has(name)) {
+    databases.set(
+      name,
+      new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = () => upgrade(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          databases.delete(name);
+          reject(request.error);
+        };
+      }),
+    );
+  }
+  return databases.get(name);
+}
+
+export function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,23 @@
+// ISBNs are stored without hyphens or spaces, e.g. "9780261103573"
+export function normalizeIsbn(value) {
+  return (value || "").replace(/[\s-]/g, "").toUpperCase();
+}
+
+export function isValidIsbn(value) {
+  const isbn = normalizeIsbn(value);
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const sum = [...isbn].reduce(
+      (total, char, i) => total + (char === "X" ? 10 : Number(char)) * (10 - i),
+      0,
+    );
+    return sum % 11 === 0;
+  }
+  if (/^\d{13}$/.test(isbn)) {
+    const sum = [...isbn].reduce(
+      (total, char, i) => total + Number(char) * (i % 2 === 0 ? 1 : 3),
+      0,
+    );
+    return sum % 10 === 0;
+  }
+  return false;
+}
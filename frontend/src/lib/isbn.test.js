@@ -0,0 +1,36 @@
+import { isValidIsbn, normalizeIsbn } from "@/lib/isbn";
+
+describe("normalizeIsbn", () => {
+  it("drops hyphens and spaces", () => {
+    expect(normalizeIsbn("978-0-261 10357-3")).toBe("9780261103573");
+  });
+
+  it("upper-cases an ISBN-10 check digit", () => {
+    expect(normalizeIsbn("0-8044-2957-x")).toBe("080442957X");
+  });
+
+  it("treats a missing value as blank", () => {
+    expect(normalizeIsbn(null)).toBe("");
+  });
+});
+
+describe("isValidIsbn", () => {
+  it.each(["9780261103573", "978-0-261-10357-3", "0261103571", "080442957X"])(
+    "accepts %s",
+    (isbn) => {
+      expect(isValidIsbn(isbn)).toBe(true);
+    },
+  );
+
+  it.each([
+    ["a wrong ISBN-13 check digit", "9780261103574"],
+    ["a wrong ISBN-10 check digit", "0261103572"],
+    ["an X inside an ISBN-10", "02611X3571"],
+    ["an X ending an ISBN-13", "978026110357X"],
+    ["the wrong length", "97802611035"],
+    ["letters", "978O261103573"],
+    ["a blank", ""],
+  ])("rejects %s", (_, isbn) => {
+    expect(isValidIsbn(isbn)).toBe(false);
+  });
+});
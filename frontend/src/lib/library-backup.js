@@ -0,0 +1,147 @@
+import { z } from "zod";
+import { BOOK_STATUSES } from "@/lib/books";
+
+// Library exports, as written by GET /export on either data source. Bump
+// EXPORT_VERSION with the backend's when the shape changes: 2 added goals,
+// reading dates and progress, which version 1 files restore without.
+export const EXPORT_VERSION = 2;
+
+export const BACKUP_TABLES = ["books", "quotes", "users", "goals"];
+
+// Only what a restore relies on is checked; other fields pass through and
+// the server fills in the ones older exports lack
+const record = (shape) => z.object(shape).passthrough();
+const optionalString = z.string().nullable().optional();
+
+const backupSchema = z.object({
+  version: z.number().int().min(1),
+  exported_at: z
+    .string()
+    .refine((value) => !Number.isNaN(Date.parse(value)), "Not a date")
+    .optional(),
+  books: z
+    .array(
+      record({
+        id: z.string(),
+        title: z.string(),
+        number: z.number().int(),
+        readings: z
+          .record(
+            record({
+              status: z.enum(BOOK_STATUSES),
+              rating: z.number().nullable().optional(),
+            }),
+          )
+          .optional(),
+        cover_url: optionalString,
+      }),
+    )
+    .default([]),
+  quotes: z
+    .array(
+      record({
+        id: z.string(),
+        book_id: optionalString,
+        book_title: z.string(),
+        text: z.string(),
+        user_id: optionalString,
+        discussion: z.string().optional(),
+      }),
+    )
+    .default([]),
+  users: z.array(record({ id: z.string(), name: z.string() })).default([]),
+  goals: z
+    .array(
+      record({
+        user_id: z.string(),
+        year: z.number().int(),
+        target: z.number().int().min(1),
+        monthly_target: z.number().int().min(1).nullable().optional(),
+      }),
+    )
+    .default([]),
+});
+
+/**
+ * Reads a backup file's text, checking it's an export this version of the
+ * app can restore. Throws an Error saying what's wrong with it otherwise.
+ */
+export function readBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("That file isn't JSON");
+  }
+  if (typeof data?.version === "number" && data.version > EXPORT_VERSION) {
+    throw new Error("This export is from a newer version of the app");
+  }
+  const result = backupSchema.safeParse(data);
+  if (!result.success) {
+    const [issue] = result.error.issues;
+    const where = issue.path.length ? ` (at ${issue.path.join(".")})` : "";
+    throw new Error(`Not a library export: ${issue.message}${where}`);
+  }
+  return result.data;
+}
+
+// A reader has one goal a year, whatever its id
+export const recordKey = (table, row) =>
+  table === "goals" ? `${row.user_id}:${row.year}` : row.id;
+
+// Logins stay with the installation, so they never differ
+const IGNORED_FIELDS = { users: ["username"] };
+
+// Same JSON whatever order the keys were written in
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, canonical(value[key])]),
+    );
+  }
+  return value;
+}
+
+function sameRecord(table, a, b) {
+  const strip = (row) => {
+    const copy = { ...row };
+    (IGNORED_FIELDS[table] || []).forEach((field) => delete copy[field]);
+    return JSON.stringify(canonical(copy));
+  };
+  return strip(a) === strip(b);
+}
+
+/**
+ * What restoring `backup` would do to the `current` library, per table:
+ * records it would add, change, and those only the library has (kept by a
+ * merge, deleted by a replace), plus how many are the same in both. The
+ * reader with `currentUserId` is never deleted, so isn't among those.
+ */
+export function diffLibrary(current, backup, currentUserId) {
+  return Object.fromEntries(
+    BACKUP_TABLES.map((table) => {
+      const existing = new Map(
+        (current[table] || []).map((row) => [recordKey(table, row), row]),
+      );
+      const incoming = new Set();
+      const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+      backup[table].forEach((row) => {
+        const key = recordKey(table, row);
+        incoming.add(key);
+        const match = existing.get(key);
+        if (!match) diff.added.push(row);
+        else if (!sameRecord(table, match, row)) diff.changed.push(row);
+        else diff.unchanged += 1;
+      });
+      diff.removed = (current[table] || []).filter(
+        (row) =>
+          !incoming.has(recordKey(table, row)) &&
+          !(table === "users" && row.id === currentUserId),
+      );
+      return [table, diff];
+    }),
+  );
+}
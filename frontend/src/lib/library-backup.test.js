@@ -0,0 +1,107 @@
+import { EXPORT_VERSION, diffLibrary, readBackup } from "@/lib/library-backup";
+
+const me = { id: "u1", name: "Ann", username: "ann" };
+const bob = { id: "u2", name: "Bob", username: null };
+
+const book = (id, title, extra = {}) => ({ id, title, number: 1, ...extra });
+
+const library = {
+  books: [book("b1", "Dune"), book("b2", "Emma"), book("b3", "Hyperion")],
+  quotes: [],
+  users: [me, bob],
+  goals: [{ id: "g1", user_id: "u1", year: 2024, target: 12 }],
+};
+
+const backup = (overrides) => ({
+  version: EXPORT_VERSION,
+  books: [],
+  quotes: [],
+  users: [],
+  goals: [],
+  ...overrides,
+});
+
+describe("diffLibrary", () => {
+  it("sorts records into added, changed, unchanged and removed", () => {
+    const diff = diffLibrary(
+      library,
+      backup({
+        books: [
+          book("b1", "Dune"),
+          book("b2", "Emma (Penguin Classics)"),
+          book("b4", "Middlemarch"),
+        ],
+      }),
+      me.id,
+    );
+    expect(diff.books.added.map((b) => b.title)).toEqual(["Middlemarch"]);
+    expect(diff.books.changed.map((b) => b.title)).toEqual([
+      "Emma (Penguin Classics)",
+    ]);
+    expect(diff.books.unchanged).toBe(1);
+    expect(diff.books.removed.map((b) => b.title)).toEqual(["Hyperion"]);
+  });
+
+  it("ignores key order and logins", () => {
+    const diff = diffLibrary(
+      library,
+      backup({
+        books: [{ number: 1, title: "Dune", id: "b1" }],
+        users: [{ ...bob, username: "bob" }],
+      }),
+      me.id,
+    );
+    expect(diff.books.unchanged).toBe(1);
+    expect(diff.users.changed).toEqual([]);
+    expect(diff.users.unchanged).toBe(1);
+  });
+
+  it("never counts the signed-in reader as removed", () => {
+    const diff = diffLibrary(library, backup({}), me.id);
+    expect(diff.users.removed).toEqual([bob]);
+  });
+
+  it("matches goals by reader and year, whatever their id", () => {
+    const diff = diffLibrary(
+      library,
+      backup({
+        goals: [
+          { id: "other", user_id: "u1", year: 2024, target: 20 },
+          { id: "g2", user_id: "u2", year: 2024, target: 5 },
+        ],
+      }),
+      me.id,
+    );
+    expect(diff.goals.changed).toHaveLength(1);
+    expect(diff.goals.added).toEqual([
+      { id: "g2", user_id: "u2", year: 2024, target: 5 },
+    ]);
+    expect(diff.goals.removed).toEqual([]);
+  });
+});
+
+describe("readBackup", () => {
+  it("fills in tables older exports lack", () => {
+    const data = readBackup(
+      JSON.stringify({ version: 1, books: [book("b1", "Dune")] }),
+    );
+    expect(data.books).toHaveLength(1);
+    expect(data.goals).toEqual([]);
+  });
+
+  it("rejects files that aren't JSON", () => {
+    expect(() => readBackup("title,author")).toThrow("That file isn't JSON");
+  });
+
+  it("rejects exports from a newer version", () => {
+    expect(() =>
+      readBackup(JSON.stringify(backup({ version: EXPORT_VERSION + 1 }))),
+    ).toThrow("newer version");
+  });
+
+  it("says where an export is broken", () => {
+    expect(() =>
+      readBackup(JSON.stringify(backup({ books: [{ id: "b1" }] }))),
+    ).toThrow(/^Not a library export: .* \(at books\.0\.title\)$/);
+  });
+});
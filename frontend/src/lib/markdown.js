@@ -0,0 +1,47 @@
+import { marked } from "marked";
+import DOMPurify from "dompurify";
+
+// Only the subset of Markdown we advertise in the quote dialog survives
+// sanitization; anything else (raw HTML, images, scripts) is stripped.
+const ALLOWED_TAGS = [
+  "p",
+  "br",
+  "hr",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "strong",
+  "em",
+  "del",
+  "ul",
+  "ol",
+  "li",
+  "blockquote",
+  "code",
+  "pre",
+  "a",
+];
+const ALLOWED_ATTR = ["href", "title", "target", "rel", "start"];
+const SAFE_URL = /^(https?:|mailto:|#|\/)/i;
+
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  if (node.tagName !== "A") return;
+  const href = node.getAttribute("href") || "";
+  if (!SAFE_URL.test(href.trim())) {
+    node.removeAttribute("href");
+    return;
+  }
+  node.setAttribute("target", "_blank");
+  node.setAttribute("rel", "noopener noreferrer");
+});
+
+marked.setOptions({ gfm: true, breaks: true });
+
+export function renderMarkdown(source) {
+  if (!source) return "";
+  const html = marked.parse(source, { async: false });
+  return DOMPurify.sanitize(html, { ALLOWED_TAGS, ALLOWED_ATTR });
+}
@@ -0,0 +1,17 @@
+// Matches a route pattern such as "/books/:id" against a path. Returns the
+// named segments, or null when the path doesn't fit the pattern.
+export function matchPath(pattern, path) {
+  const parts = pattern.split("/");
+  const segments = path.split("/");
+  if (parts.length !== segments.length) return null;
+
+  const params = {};
+  for (let i = 0; i < parts.length; i += 1) {
+    if (parts[i].startsWith(":")) {
+      params[parts[i].slice(1)] = decodeURIComponent(segments[i]);
+    } else if (parts[i] !== segments[i]) {
+      return null;
+    }
+  }
+  return params;
+}
@@ -0,0 +1,113 @@
+// IndexedDB copy of the library plus an outbox of mutations that could not
+// reach the backend. The outbox is replayed in order once we're back online.
+
+import { openDatabase, requestResult, transactionDone } from "@/lib/idb";
+
+const DB_NAME = "reading-tracker";
+const DB_VERSION = 2;
+const LIBRARY_STORES = ["books", "quotes", "users", "goals"];
+const OUTBOX = "outbox";
+
+// Runtime cache the service worker keeps GET /api/books and /api/quotes in
+export const API_CACHE = "api-responses";
+
+const openOfflineDatabase = () =>
+  openDatabase(DB_NAME, DB_VERSION, (db) => {
+    // Upgrades from older versions only add the stores that are new
+    for (const name of LIBRARY_STORES) {
+      if (!db.objectStoreNames.contains(name)) {
+        db.createObjectStore(name, { keyPath: "id" });
+      }
+    }
+    if (!db.objectStoreNames.contains(OUTBOX)) {
+      db.createObjectStore(OUTBOX, { keyPath: "seq", autoIncrement: true });
+    }
+  });
+
+// `data` has an array for each of LIBRARY_STORES
+export async function saveLibrary(data) {
+  const db = await openOfflineDatabase();
+  const tx = db.transaction(LIBRARY_STORES, "readwrite");
+  for (const name of LIBRARY_STORES) {
+    const store = tx.objectStore(name);
+    store.clear();
+    data[name].forEach((item) => store.put(item));
+  }
+  return transactionDone(tx);
+}
+
+export async function loadLibrary() {
+  const db = await openOfflineDatabase();
+  const tx = db.transaction(LIBRARY_STORES, "readonly");
+  const rows = await Promise.all(
+    LIBRARY_STORES.map((name) => requestResult(tx.objectStore(name).getAll())),
+  );
+  return Object.fromEntries(LIBRARY_STORES.map((name, i) => [name, rows[i]]));
+}
+
+export async function clearOfflineData() {
+  const db = await openOfflineDatabase();
+  const tx = db.transaction([...LIBRARY_STORES, OUTBOX], "readwrite");
+  [...LIBRARY_STORES, OUTBOX].forEach((name) => tx.objectStore(name).clear());
+  await transactionDone(tx);
+  if (typeof caches !== "undefined") await caches.delete(API_CACHE);
+}
+
+/**
+ * Queues a request for later. `request` is an axios config with a `url`
+ * relative to the API root, e.g. `{ method: "put", url: "/books/1", data }`.
+ */
+export async function enqueueMutation(request) {
+  const db = await openOfflineDatabase();
+  const tx = db.transaction(OUTBOX, "readwrite");
+  tx.objectStore(OUTBOX).add({ request, queued_at: new Date().toISOString() });
+  return transactionDone(tx);
+}
+
+export async function listMutations() {
+  const db = await openOfflineDatabase();
+  return requestResult(
+    db.transaction(OUTBOX, "readonly").objectStore(OUTBOX).getAll(),
+  );
+}
+
+async function removeMutation(seq) {
+  const db = await openOfflineDatabase();
+  const tx = db.transaction(OUTBOX, "readwrite");
+  tx.objectStore(OUTBOX).delete(seq);
+  return transactionDone(tx);
+}
+
+/**
+ * Replays the outbox through `send(request)`, which rejects with ApiErrors.
+ * Failures that may pass on their own (no network, a server error) stop the
+ * replay, leaving that request and the rest queued for the next one. Requests
+ * the server turns down (409 because the record changed since it was edited
+ * offline, 404 because it is gone, or any other 4xx) would fail the same way
+ * every time, so they are taken off the queue and returned as conflicts for
+ * the user to resolve.
+ */
+export async function flushOutbox(send) {
+  const conflicts = [];
+  let sent = 0;
+
+  for (const mutation of await listMutations()) {
+    try {
+      await send(mutation.request);
+      sent += 1;
+    } catch (error) {
+      if (error.status === null || error.status >= 500) {
+        return { sent, conflicts, stalled: true };
+      }
+      conflicts.push({
+        ...mutation,
+        status: error.status,
+        message: error.message,
+        current: error.detail?.current ?? null,
+      });
+    }
+    await removeMutation(mutation.seq);
+  }
+
+  return { sent, conflicts, stalled: false };
+}
@@ -0,0 +1,96 @@
+import { z } from "zod";
+import { readingFor, statusDates } from "@/lib/books";
+import { today } from "@/lib/dates";
+
+// How far into the book an entry got. Pages only count once the book's
+// length is known. Mirrors progress_percent() in backend/server.py.
+export function progressPercent(entry, pages) {
+  if (entry.percent !== null && entry.percent !== undefined) {
+    return entry.percent;
+  }
+  if (entry.page !== null && entry.page !== undefined && pages) {
+    return Math.min(100, (entry.page / pages) * 100);
+  }
+  return null;
+}
+
+// Sorts sessions by the day they happened, newest first
+export const newestProgressFirst = (a, b) =>
+  b.date.localeCompare(a.date) || b.created_at.localeCompare(a.created_at);
+
+export function progressFor(book, userId) {
+  return (book.progress || [])
+    .filter((entry) => entry.user_id === userId)
+    .sort(newestProgressFirst);
+}
+
+// Where a reader is now, as a percentage, or null if it can't be told
+export function currentProgress(book, userId) {
+  const [latest] = progressFor(book, userId);
+  return latest ? progressPercent(latest, book.pages) : null;
+}
+
+// Mirrors what POST /books/{id}/progress does: logging progress starts a
+// book and reaching 100% finishes it.
+export function applyProgress(book, entry, userId) {
+  const next = { ...book, progress: [...(book.progress || []), entry] };
+  const reading = readingFor(book, userId);
+  const percent = progressPercent(entry, book.pages);
+  const status = percent !== null && percent >= 100 ? "Completed" : "Reading";
+  if (reading.status !== status && reading.status !== "Completed") {
+    next.readings = {
+      ...book.readings,
+      [userId]: {
+        ...reading,
+        status,
+        ...statusDates(reading, status, entry.date),
+      },
+    };
+    next.history = [
+      ...(book.history || []),
+      { user_id: userId, status, changed_at: entry.created_at },
+    ];
+  }
+  return next;
+}
+
+export const progressFormSchema = z
+  .object({
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Pick a date"),
+    unit: z.enum(["page", "percent"]),
+    amount: z.string().trim().min(1, "How far did you get?"),
+    note: z.string(),
+  })
+  .superRefine(({ unit, amount }, ctx) => {
+    const number = Number(amount);
+    const valid =
+      amount === "" ||
+      (unit === "page"
+        ? Number.isInteger(number) && number >= 0
+        : Number.isFinite(number) && number >= 0 && number <= 100);
+    if (!valid) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["amount"],
+        message:
+          unit === "page" ? "Use a whole page number" : "Use 0 to 100 percent",
+      });
+    }
+  });
+
+// Books without a page count can only be logged in percent
+export const emptyProgressForm = (book) => ({
+  date: today(),
+  unit: book.pages ? "page" : "percent",
+  amount: "",
+  note: "",
+});
+
+export function toProgressData({ date, unit, amount, note }) {
+  return {
+    date,
+    page: unit === "page" ? Number(amount) : null,
+    percent: unit === "percent" ? Number(amount) : null,
+    note: note.trim(),
+  };
+}
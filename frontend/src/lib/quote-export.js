@@ -0,0 +1,90 @@
+import { formatDate, today } from "@/lib/dates";
+
+// Quotes leave the app grouped by book, as `{ key, bookId, title, authors,
+// quotes }`. Only quotes with text go: blank ones just hold a book's card.
+
+export function quoteGroups(entries, getQuotesForBook, books) {
+  return entries
+    .map((entry) => {
+      const book = entry.book_id && books.find((b) => b.id === entry.book_id);
+      return {
+        key: entry.book_id || `title:${entry.book_title}`,
+        bookId: entry.book_id,
+        title: book?.title || entry.book_title,
+        authors: book?.authors || [],
+        quotes: getQuotesForBook(entry).filter((quote) => quote.text),
+      };
+    })
+    .filter((group) => group.quotes.length > 0);
+}
+
+const readerName = (usersById, quote) =>
+  usersById[quote.user_id]?.name || "Unknown reader";
+
+const quotedDate = (quote) => formatDate(quote.created_at, "yyyy-MM-dd");
+
+// A commonplace book in Markdown: a section per book, each quote as a
+// blockquote signed by its reader, followed by the discussion
+export function quotesToMarkdown(groups, usersById) {
+  const sections = groups.map((group) => {
+    const quotes = group.quotes.map((quote) => {
+      const lines = quote.text
+        .trim()
+        .split("\n")
+        .map((line) => (line ? `> ${line}` : ">"));
+      const reader = readerName(usersById, quote);
+      const signature = `> — ${reader}, ${quotedDate(quote)}`;
+      return [
+        [...lines, ">", signature].join("\n"),
+        (quote.discussion || "").trim(),
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+    });
+    const byline = group.authors.length
+      ? [`*by ${group.authors.join(", ")}*`]
+      : [];
+    return [`## ${group.title}`, ...byline, ...quotes].join("\n\n");
+  });
+  return `${["# Quotes", ...sections].join("\n\n")}\n`;
+}
+
+const CSV_COLUMNS = [
+  "Book",
+  "Authors",
+  "Quote",
+  "Reader",
+  "Date",
+  "Discussion",
+];
+
+function csvField(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per quote, with the columns above
+export function quotesToCsv(groups, usersById) {
+  const rows = groups.flatMap((group) =>
+    group.quotes.map((quote) => [
+      group.title,
+      group.authors.join(", "),
+      quote.text,
+      readerName(usersById, quote),
+      quotedDate(quote),
+      quote.discussion,
+    ]),
+  );
+  return `${[CSV_COLUMNS, ...rows]
+    .map((row) => row.map(csvField).join(","))
+    .join("\r\n")}\r\n`;
+}
+
+// "quotes-2024-05-01" for everything, "quotes-the-hobbit" for one book
+export function quotesFileName(title) {
+  const slug = (title || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+  return `quotes-${slug || today()}`;
+}
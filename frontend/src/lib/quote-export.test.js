@@ -0,0 +1,126 @@
+import {
+  quoteGroups,
+  quotesFileName,
+  quotesToCsv,
+  quotesToMarkdown,
+} from "@/lib/quote-export";
+
+const usersById = { u1: { id: "u1", name: "Ann" } };
+
+const quote = (id, text, extra = {}) => ({
+  id,
+  text,
+  user_id: "u1",
+  discussion: "",
+  created_at: "2024-05-01T10:00:00Z",
+  ...extra,
+});
+
+const group = (quotes, extra = {}) => ({
+  key: "b1",
+  bookId: "b1",
+  title: "Dune",
+  authors: ["Frank Herbert"],
+  quotes,
+  ...extra,
+});
+
+describe("quotesToCsv", () => {
+  it("writes a header and a row per quote", () => {
+    const groups = [group([quote("q1", "Fear is the mind-killer.")])];
+    expect(quotesToCsv(groups, usersById)).toBe(
+      "Book,Authors,Quote,Reader,Date,Discussion\r\n" +
+        "Dune,Frank Herbert,Fear is the mind-killer.,Ann,2024-05-01,\r\n",
+    );
+  });
+
+  it("quotes fields with commas, quotes and line breaks", () => {
+    const csv = quotesToCsv(
+      [
+        group(
+          [
+            quote("q1", 'He said "walk"\nwithout rhythm', {
+              discussion: "Rhythm, sand",
+              user_id: "gone",
+            }),
+          ],
+          { authors: ["Frank Herbert", "Brian Herbert"] },
+        ),
+      ],
+      usersById,
+    );
+    const [, row] = csv.split("\r\n");
+    expect(row).toBe(
+      'Dune,"Frank Herbert, Brian Herbert",' +
+        '"He said ""walk""\nwithout rhythm",Unknown reader,2024-05-01,' +
+        '"Rhythm, sand"',
+    );
+  });
+});
+
+describe("quotesToMarkdown", () => {
+  it("writes a section per book with signed blockquotes", () => {
+    const markdown = quotesToMarkdown(
+      [
+        group([
+          quote("q1", "Line one\n\nLine two", { discussion: "Mine." }),
+          quote("q2", "Short"),
+        ]),
+      ],
+      usersById,
+    );
+    expect(markdown).toBe(
+      [
+        "# Quotes",
+        "## Dune",
+        "*by Frank Herbert*",
+        "> Line one\n>\n> Line two\n>\n> — Ann, 2024-05-01\n\nMine.",
+        "> Short\n>\n> — Ann, 2024-05-01",
+      ].join("\n\n") + "\n",
+    );
+  });
+});
+
+describe("quoteGroups", () => {
+  const books = [{ id: "b1", title: "Dune Messiah", authors: ["F. H."] }];
+  const quotes = {
+    b1: [quote("q1", ""), quote("q2", "Kept")],
+    gone: [quote("q3", "")],
+  };
+  const getQuotesForBook = (entry) => quotes[entry.book_id] || [];
+
+  it("uses the book's current details and skips blank quotes", () => {
+    const groups = quoteGroups(
+      [
+        { book_id: "b1", book_title: "Dune" },
+        { book_id: "gone", book_title: "Lost" },
+      ],
+      getQuotesForBook,
+      books,
+    );
+    expect(groups).toEqual([
+      {
+        key: "b1",
+        bookId: "b1",
+        title: "Dune Messiah",
+        authors: ["F. H."],
+        quotes: [quotes.b1[1]],
+      },
+    ]);
+  });
+});
+
+describe("quotesFileName", () => {
+  it("names files after the book", () => {
+    expect(quotesFileName("The Hobbit: Or There and Back Again")).toBe(
+      "quotes-the-hobbit-or-there-and-back-again",
+    );
+    expect(quotesFileName("Cien años de soledad")).toBe(
+      "quotes-cien-años-de-soledad",
+    );
+  });
+
+  it("falls back to today's date", () => {
+    expect(quotesFileName()).toMatch(/^quotes-\d{4}-\d{2}-\d{2}$/);
+  });
+});
@@ -0,0 +1,76 @@
+import {
+  eachDayOfInterval,
+  endOfMonth,
+  endOfWeek,
+  format,
+  isValid,
+  parse,
+  parseISO,
+  startOfMonth,
+  startOfWeek,
+} from "date-fns";
+import { readingDates } from "@/lib/books";
+import { today } from "@/lib/dates";
+
+const MONTH_FORMAT = "yyyy-MM";
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+
+// The month in ?month=yyyy-MM, or the current one
+export function readMonth(param) {
+  const month = param ? parse(param, MONTH_FORMAT, new Date()) : new Date();
+  return startOfMonth(isValid(month) ? month : new Date());
+}
+
+export const monthParam = (month) => format(month, MONTH_FORMAT);
+
+// Whole weeks covering the month, as YYYY-MM-DD days
+export function calendarDays(month) {
+  return eachDayOfInterval({
+    start: startOfWeek(startOfMonth(month), WEEK_OPTIONS),
+    end: endOfWeek(endOfMonth(month), WEEK_OPTIONS),
+  }).map((day) => format(day, "yyyy-MM-dd"));
+}
+
+/**
+ * What each reader was reading on each day from `from` to `to` (inclusive,
+ * YYYY-MM-DD), as a Map of day to `{ book, userId, finished, logged }`.
+ * A reading runs from its start to its finish, or to today while it's
+ * still going; days with logged progress count even outside that.
+ */
+export function readingsByDay(books, from, to) {
+  const days = new Map();
+  const entryFor = (day, book, userId) => {
+    if (!days.has(day)) days.set(day, new Map());
+    const entries = days.get(day);
+    const key = `${book.id}:${userId}`;
+    if (!entries.has(key)) {
+      entries.set(key, { book, userId, finished: false, logged: false });
+    }
+    return entries.get(key);
+  };
+
+  for (const book of books) {
+    for (const [userId, reading] of Object.entries(book.readings || {})) {
+      const { startedAt, finishedAt } = readingDates(book, userId);
+      const end =
+        finishedAt || (reading.status === "Reading" ? today() : null);
+      const start = startedAt || end;
+      if (!start || !end || start > end || end < from || start > to) continue;
+      eachDayOfInterval({
+        start: parseISO(start > from ? start : from),
+        end: parseISO(end < to ? end : to),
+      }).forEach((date) => {
+        const day = format(date, "yyyy-MM-dd");
+        entryFor(day, book, userId).finished = day === finishedAt;
+      });
+    }
+    for (const entry of book.progress || []) {
+      if (entry.date < from || entry.date > to) continue;
+      entryFor(entry.date, book, entry.user_id).logged = true;
+    }
+  }
+
+  return new Map(
+    [...days].map(([day, entries]) => [day, [...entries.values()]]),
+  );
+}
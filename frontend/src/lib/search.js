@@ -0,0 +1,30 @@
+// Scores how well `query` matches `text`: a plain substring match always
+// beats a fuzzy one, and fuzzy matches (query characters appearing in
+// order) score lower the more spread out they are. Returns null when the
+// text does not match at all.
+export function fuzzyScore(query, text) {
+  const needle = query.trim().toLowerCase();
+  const haystack = (text || "").toLowerCase();
+  if (!needle) return 1;
+
+  const index = haystack.indexOf(needle);
+  if (index !== -1) {
+    // Earlier substring matches rank slightly higher
+    return 2 - index / (haystack.length + 1);
+  }
+
+  let position = 0;
+  let gaps = 0;
+  for (const char of needle) {
+    if (char === " ") continue;
+    const found = haystack.indexOf(char, position);
+    if (found === -1) return null;
+    if (position > 0) gaps += found - position;
+    position = found + 1;
+  }
+  return 1 / (1 + gaps);
+}
+
+export function fuzzyMatch(query, text) {
+  return fuzzyScore(query, text) !== null;
+}
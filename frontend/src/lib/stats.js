@@ -0,0 +1,193 @@
+import {
+  differenceInCalendarDays,
+  format,
+  parseISO,
+  startOfMonth,
+  subMonths,
+} from "date-fns";
+import { BOOK_STATUSES, readingDates } from "@/lib/books";
+import { today } from "@/lib/dates";
+import { readerColor } from "@/lib/users";
+
+// Everything on the Stats tab is worked out here from the books, quotes and
+// readers already loaded. Charts take `{ key, label, segments }` bars, where
+// each segment is `{ key, value, color, title }`.
+
+/**
+ * Every reading that was finished, as `{ book, userId, finishedAt }`.
+ * A book read by two readers counts once for each of them.
+ */
+export function finishedReadings(books) {
+  return books.flatMap((book) =>
+    Object.entries(book.readings || {})
+      .filter(([, reading]) => reading.status === "Completed")
+      .map(([userId]) => ({
+        book,
+        userId,
+        finishedAt: readingDates(book, userId).finishedAt,
+      }))
+      .filter((finished) => finished.finishedAt),
+  );
+}
+
+// One bar per period, split into a segment per reader
+function barsByPeriod(finished, users, periods, periodOf, weight) {
+  return periods.map(({ key, label }) => ({
+    key,
+    label,
+    segments: users.map((user) => {
+      const value = finished
+        .filter((f) => f.userId === user.id && periodOf(f.finishedAt) === key)
+        .reduce((sum, f) => sum + weight(f), 0);
+      return {
+        key: user.id,
+        value,
+        color: readerColor(user),
+        title: `${user.name}: ${value}`,
+      };
+    }),
+  }));
+}
+
+// The last `count` months, oldest first, keyed yyyy-MM
+function recentMonths(count) {
+  const thisMonth = startOfMonth(new Date());
+  return Array.from({ length: count }, (_, i) => {
+    const month = subMonths(thisMonth, count - 1 - i);
+    return {
+      key: format(month, "yyyy-MM"),
+      label: format(month, month.getMonth() === 0 ? "MMM yy" : "MMM"),
+    };
+  });
+}
+
+// Every year from the first finished book to this one
+function finishedYears(finished) {
+  const current = new Date().getFullYear();
+  const first = Math.min(
+    current,
+    ...finished.map((f) => Number(f.finishedAt.slice(0, 4))),
+  );
+  return Array.from({ length: current - first + 1 }, (_, i) => {
+    const year = String(first + i);
+    return { key: year, label: year };
+  });
+}
+
+const monthOf = (day) => day.slice(0, 7);
+const yearOf = (day) => day.slice(0, 4);
+const one = () => 1;
+const pagesOf = (f) => f.book.pages || 0;
+
+export const finishedByMonth = (finished, users, months = 12) =>
+  barsByPeriod(finished, users, recentMonths(months), monthOf, one);
+
+export const finishedByYear = (finished, users) =>
+  barsByPeriod(finished, users, finishedYears(finished), yearOf, one);
+
+// Pages of the books finished each month; books without a page count add none
+export const pagesByMonth = (finished, users, months = 12) =>
+  barsByPeriod(finished, users, recentMonths(months), monthOf, pagesOf);
+
+const average = (values) =>
+  values.length === 0
+    ? null
+    : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const ratingsOf = (readings) =>
+  readings
+    .map((reading) => reading.rating)
+    .filter((rating) => typeof rating === "number");
+
+const averageBar = (label, key, ratings, color) => {
+  const value = average(ratings);
+  return {
+    key,
+    label,
+    segments: [
+      {
+        key,
+        value: value ?? 0,
+        color,
+        title:
+          value === null
+            ? "No ratings"
+            : `${value.toFixed(1)} from ${ratings.length} ratings`,
+      },
+    ],
+  };
+};
+
+export function averageRatingByStatus(books) {
+  const readings = books.flatMap((book) => Object.values(book.readings || {}));
+  return BOOK_STATUSES.map((status) =>
+    averageBar(
+      status,
+      status,
+      ratingsOf(readings.filter((reading) => reading.status === status)),
+      "#b4a7d6",
+    ),
+  );
+}
+
+export function averageRatingByReader(books, users) {
+  return users.map((user) =>
+    averageBar(
+      user.name,
+      user.id,
+      ratingsOf(books.map((book) => book.readings?.[user.id]).filter(Boolean)),
+      readerColor(user),
+    ),
+  );
+}
+
+// The books with the most quotes, most quoted first
+export function quotesPerBook(books, quotes, limit = 10) {
+  return books
+    .map((book) => ({
+      key: book.id,
+      label: book.title,
+      segments: [
+        {
+          key: book.id,
+          value: quotes.filter((q) => q.book_id === book.id && q.text).length,
+          color: "#ffdfba",
+          title: book.title,
+        },
+      ],
+    }))
+    .filter((bar) => bar.segments[0].value > 0)
+    .sort((a, b) => b.segments[0].value - a.segments[0].value)
+    .slice(0, limit);
+}
+
+/**
+ * A reader's runs of consecutive days with progress logged. The current
+ * streak is still alive if they last read today or yesterday.
+ */
+export function readingStreaks(books, userId) {
+  const days = [
+    ...new Set(
+      books.flatMap((book) =>
+        (book.progress || [])
+          .filter((entry) => entry.user_id === userId)
+          .map((entry) => entry.date),
+      ),
+    ),
+  ].sort();
+
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, i) => {
+    const afterPrevious =
+      i > 0 &&
+      differenceInCalendarDays(parseISO(day), parseISO(days[i - 1])) === 1;
+    run = afterPrevious ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const last = days[days.length - 1];
+  const alive =
+    last && differenceInCalendarDays(parseISO(today()), parseISO(last)) <= 1;
+  return { current: alive ? run : 0, longest, days: days.length };
+}
@@ -0,0 +1,170 @@
+import {
+  averageRatingByReader,
+  averageRatingByStatus,
+  finishedReadings,
+  readingStreaks,
+} from "@/lib/stats";
+
+const me = "u1";
+const other = "u2";
+
+const logged = (userId, ...dates) =>
+  dates.map((date) => ({ user_id: userId, date, page: 10 }));
+
+const withProgress = (...progress) => [
+  { id: "b1", title: "Dune", progress: progress.flat() },
+];
+
+describe("readingStreaks", () => {
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(new Date(2024, 4, 15, 12));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("has no streak without progress", () => {
+    expect(readingStreaks([{ id: "b1", title: "Dune" }], me)).toEqual({
+      current: 0,
+      longest: 0,
+      days: 0,
+    });
+  });
+
+  it("counts a run ending today", () => {
+    const books = withProgress(
+      logged(me, "2024-05-13", "2024-05-14", "2024-05-15"),
+    );
+    expect(readingStreaks(books, me)).toEqual({
+      current: 3,
+      longest: 3,
+      days: 3,
+    });
+  });
+
+  it("keeps the streak alive until the end of the next day", () => {
+    const books = withProgress(logged(me, "2024-05-13", "2024-05-14"));
+    expect(readingStreaks(books, me).current).toBe(2);
+  });
+
+  it("breaks the streak after a day without reading", () => {
+    const books = withProgress(logged(me, "2024-05-12", "2024-05-13"));
+    expect(readingStreaks(books, me)).toEqual({
+      current: 0,
+      longest: 2,
+      days: 2,
+    });
+  });
+
+  it("finds the longest run across gaps and month ends", () => {
+    const books = withProgress(
+      logged(me, "2024-04-29", "2024-04-30", "2024-05-01", "2024-05-02"),
+      logged(me, "2024-05-14", "2024-05-15"),
+    );
+    expect(readingStreaks(books, me)).toEqual({
+      current: 2,
+      longest: 4,
+      days: 6,
+    });
+  });
+
+  it("counts a day once across several books and entries", () => {
+    const books = [
+      ...withProgress(logged(me, "2024-05-14", "2024-05-14")),
+      { id: "b2", title: "Emma", progress: logged(me, "2024-05-14") },
+    ];
+    expect(readingStreaks(books, me)).toEqual({
+      current: 1,
+      longest: 1,
+      days: 1,
+    });
+  });
+
+  it("only counts the reader's own progress", () => {
+    const books = withProgress(
+      logged(other, "2024-05-14", "2024-05-15"),
+      logged(me, "2024-05-15"),
+    );
+    expect(readingStreaks(books, me).longest).toBe(1);
+  });
+});
+
+describe("finishedReadings", () => {
+  it("lists each reader's finished reading once, with its day", () => {
+    const books = [
+      {
+        id: "b1",
+        title: "Dune",
+        readings: {
+          [me]: { status: "Completed", finished_at: "2024-02-01" },
+          [other]: { status: "Completed", finished_at: "2024-03-01" },
+        },
+      },
+      {
+        id: "b2",
+        title: "Emma",
+        readings: { [me]: { status: "Reading", started_at: "2024-05-01" } },
+      },
+    ];
+    expect(
+      finishedReadings(books).map(({ userId, finishedAt }) => [
+        userId,
+        finishedAt,
+      ]),
+    ).toEqual([
+      [me, "2024-02-01"],
+      [other, "2024-03-01"],
+    ]);
+  });
+
+  it("leaves out finished books with no known day", () => {
+    const books = [
+      {
+        id: "b1",
+        title: "Dune",
+        readings: { [me]: { status: "Completed" } },
+      },
+    ];
+    expect(finishedReadings(books)).toEqual([]);
+  });
+});
+
+describe("average rating bars", () => {
+  const books = [
+    {
+      id: "b1",
+      title: "Dune",
+      readings: {
+        [me]: { status: "Completed", rating: 8 },
+        [other]: { status: "Completed", rating: 6 },
+      },
+    },
+    {
+      id: "b2",
+      title: "Emma",
+      readings: { [me]: { status: "Reading", rating: null } },
+    },
+  ];
+
+  const values = (bars) => bars.map((bar) => [bar.key, bar.segments[0].value]);
+
+  it("has a bar per status, keyed by the status", () => {
+    expect(values(averageRatingByStatus(books))).toEqual([
+      ["To Read", 0],
+      ["Reading", 0],
+      ["Completed", 7],
+    ]);
+  });
+
+  it("keys each reader's bar by their id, not their name", () => {
+    const users = [
+      { id: me, name: "Sam", color: "#ccc" },
+      { id: other, name: "Sam", color: "#eee" },
+    ];
+    expect(values(averageRatingByReader(books, users))).toEqual([
+      [me, 8],
+      [other, 6],
+    ]);
+  });
+});
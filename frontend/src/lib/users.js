@@ -0,0 +1,15 @@
+const FALLBACK_COLOR = "#8b7fc7";
+
+// The backend always assigns a color, but quotes can outlive their reader
+export function readerColor(user) {
+  return user?.color || FALLBACK_COLOR;
+}
+
+export function readerInitials(name) {
+  const words = (name || "?").trim().split(/\s+/);
+  return words
+    .slice(0, 2)
+    .map((word) => word[0])
+    .join("")
+    .toUpperCase();
+}
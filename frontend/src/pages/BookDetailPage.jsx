@@ -0,0 +1,350 @@
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { ArrowLeft, Edit2, Link2, Plus, Trash2 } from "lucide-react";
+import { TabsContent } from "@/components/ui/tabs";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import { DatePicker } from "@/components/DatePicker";
+import { DeleteBookDialog } from "@/components/DeleteBookDialog";
+import { EditBookDialog } from "@/components/EditBookDialog";
+import { HexagonRating } from "@/components/HexagonRating";
+import { Markdown } from "@/components/Markdown";
+import { ProgressDialog } from "@/components/ProgressDialog";
+import { ReaderAvatar } from "@/components/ReaderAvatar";
+import { useLibrary } from "@/context/LibraryContext";
+import { useDialogParam } from "@/hooks/use-dialog-param";
+import { averageRating, readingDates } from "@/lib/books";
+import { coverSrc } from "@/lib/covers";
+import { formatDate } from "@/lib/dates";
+import {
+  currentProgress,
+  newestProgressFirst,
+  progressPercent,
+} from "@/lib/progress";
+import { readerColor } from "@/lib/users";
+
+export function BookDetailPage() {
+  const {
+    books,
+    users,
+    usersById,
+    currentUserId,
+    getQuotesForBook,
+    loading,
+    updateBook,
+    deleteProgress,
+  } = useLibrary();
+  const { bookId } = useParams();
+  const navigate = useNavigate();
+  const { dialog, openDialog, closeDialog } = useDialogParam();
+
+  const book = books.find((b) => b.id === bookId) || null;
+
+  if (loading || !book) {
+    return (
+      <TabsContent value="books" data-testid="book-detail">
+        <Link to="/books" className="book-detail-back">
+          <ArrowLeft className="w-4 h-4" /> Books
+        </Link>
+        {loading ? (
+          <div className="book-detail-section animate-pulse rounded-2xl bg-slate-800/60 h-64" />
+        ) : (
+          <p className="books-empty" data-testid="book-not-found">
+            This book isn't in the library.
+          </p>
+        )}
+      </TabsContent>
+    );
+  }
+
+  // The blank placeholder quote only exists to give the book a quote card
+  const quotes = getQuotesForBook({ book_id: book.id }).filter((q) => q.text);
+  const readers = users.filter((user) => book.readings?.[user.id]);
+  const average = averageRating(book);
+  const history = [...(book.history || [])].reverse();
+  const progress = [...(book.progress || [])].sort(newestProgressFirst);
+
+  // Readers can correct their own start and finish dates
+  const dateCell = (user, field, day) =>
+    user.id === currentUserId ? (
+      <DatePicker
+        value={day}
+        onChange={(picked) => updateBook(book.id, { [field]: picked })}
+        data-testid={`book-detail-${field.replace("_", "-")}`}
+      />
+    ) : (
+      formatDate(day) || "—"
+    );
+  const facts = [
+    ["Pages", book.pages],
+    ["Published", book.year],
+    ["ISBN", book.isbn],
+  ].filter(([, value]) => value);
+
+  return (
+    <TabsContent value="books" data-testid="book-detail">
+      <Link to="/books" className="book-detail-back">
+        <ArrowLeft className="w-4 h-4" /> Books
+      </Link>
+
+      <div className="book-detail-header">
+        {book.cover_url && (
+          <img
+            src={coverSrc(book.cover_url)}
+            alt=""
+            className="book-detail-cover"
+          />
+        )}
+        <div className="book-detail-heading">
+          <h2 className="book-detail-title" data-testid="book-detail-title">
+            {book.title}
+          </h2>
+          {book.authors?.length > 0 && (
+            <p className="book-byline">by {book.authors.join(", ")}</p>
+          )}
+          <p className="book-detail-meta">
+            #{book.number} in the queue · added {formatDate(book.created_at)}
+            {average !== null && ` · avg ${average.toFixed(1)}`}
+          </p>
+          {facts.length > 0 && (
+            <dl className="book-detail-facts" data-testid="book-detail-facts">
+              {facts.map(([label, value]) => (
+                <div key={label}>
+                  <dt>{label}</dt>
+                  <dd>{value}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+          {book.genres?.length > 0 && (
+            <div className="book-genres">
+              {book.genres.map((genre) => (
+                <span key={genre} className="book-genre">
+                  {genre}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="book-actions">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() =>
+              openDialog("add-quote", { pathname: `/quotes/${book.id}` })
+            }
+            data-testid="book-detail-add-quote"
+          >
+            <Plus className="w-4 h-4" /> Quote
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => openDialog("edit")}
+            data-testid="book-detail-edit"
+          >
+            <Edit2 className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => openDialog("delete")}
+            data-testid="book-detail-delete"
+          >
+            <Trash2 className="w-4 h-4" />
+          </Button>
+        </div>
+      </div>
+
+      <EditBookDialog
+        book={dialog === "edit" ? book : null}
+        onClose={closeDialog}
+      />
+      <ProgressDialog
+        book={dialog === "progress" ? book : null}
+        onClose={closeDialog}
+      />
+      <DeleteBookDialog
+        book={dialog === "delete" ? book : null}
+        onClose={closeDialog}
+        onConfirm={() => navigate("/books", { replace: true })}
+      />
+
+      <section className="book-detail-section">
+        <h3>Readers</h3>
+        <div className="book-detail-readers">
+          {readers.map((user) => {
+            const reading = book.readings[user.id];
+            const { startedAt, finishedAt } = readingDates(book, user.id);
+            return (
+              <div
+                key={user.id}
+                className="reader-reading"
+                style={{ "--reader-color": readerColor(user) }}
+                data-testid={`reader-reading-${user.id}`}
+              >
+                <div className="reader-option">
+                  <ReaderAvatar user={user} className="reader-avatar-sm" />
+                  {user.name}
+                </div>
+                <span className="reader-reading-status">{reading.status}</span>
+                <div className="hexagon-rating">
+                  <HexagonRating rating={reading.rating} />
+                </div>
+                {reading.status === "Reading" && (
+                  <Progress
+                    value={currentProgress(book, user.id) ?? 0}
+                    className="book-progress-bar"
+                  />
+                )}
+                <dl className="reader-reading-dates">
+                  <dt>Started</dt>
+                  <dd>{dateCell(user, "started_at", startedAt)}</dd>
+                  <dt>Finished</dt>
+                  <dd>{dateCell(user, "finished_at", finishedAt)}</dd>
+                </dl>
+              </div>
+            );
+          })}
+        </div>
+      </section>
+
+      <section className="book-detail-section">
+        <div className="book-detail-section-header">
+          <h3>Progress</h3>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => openDialog("progress")}
+            data-testid="book-detail-log-progress"
+          >
+            <Plus className="w-4 h-4" /> Log progress
+          </Button>
+        </div>
+        {progress.length === 0 ? (
+          <p className="books-empty">No reading sessions logged yet.</p>
+        ) : (
+          <ol
+            className="status-history progress-log"
+            data-testid="progress-log"
+          >
+            {progress.map((entry) => {
+              const percent = progressPercent(entry, book.pages);
+              return (
+                <li key={entry.id}>
+                  <time dateTime={entry.date}>{formatDate(entry.date)}</time>
+                  <span className="reader-option">
+                    {usersById[entry.user_id] && (
+                      <ReaderAvatar
+                        user={usersById[entry.user_id]}
+                        className="reader-avatar-xs"
+                      />
+                    )}
+                    {usersById[entry.user_id]?.name || "A former reader"}
+                  </span>
+                  <span>
+                    {entry.page !== null && `p. ${entry.page}`}
+                    {entry.page !== null && percent !== null && " · "}
+                    {percent !== null && `${Math.round(percent)}%`}
+                  </span>
+                  {entry.note && (
+                    <span className="progress-note">{entry.note}</span>
+                  )}
+                  {entry.user_id === currentUserId && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="quote-edit-btn"
+                      onClick={() => deleteProgress(book.id, entry.id)}
+                      title="Delete this entry"
+                      data-testid={`delete-progress-${entry.id}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </section>
+
+      <section className="book-detail-section">
+        <h3>Quotes</h3>
+        {quotes.length === 0 ? (
+          <p className="books-empty">No quotes yet.</p>
+        ) : (
+          quotes.map((quote) => (
+            <div
+              key={quote.id}
+              className="quote-item"
+              data-testid={`book-detail-quote-${quote.id}`}
+            >
+              <div className="quote-display">
+                {usersById[quote.user_id] && (
+                  <ReaderAvatar
+                    user={usersById[quote.user_id]}
+                    className="reader-avatar-sm"
+                  />
+                )}
+                <div
+                  className="quote-text"
+                  style={{
+                    "--reader-color": readerColor(usersById[quote.user_id]),
+                  }}
+                >
+                  "{quote.text}"
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="quote-edit-btn"
+                  asChild
+                >
+                  <Link
+                    to={`/quotes/${book.id}?quote=${quote.id}`}
+                    title="Show on the Quotes tab"
+                  >
+                    <Link2 className="w-4 h-4" />
+                  </Link>
+                </Button>
+              </div>
+              {quote.discussion && (
+                <Markdown
+                  source={quote.discussion}
+                  className="discussion-text"
+                />
+              )}
+            </div>
+          ))
+        )}
+      </section>
+
+      <section className="book-detail-section">
+        <h3>History</h3>
+        {history.length === 0 ? (
+          <p className="books-empty">No status changes recorded yet.</p>
+        ) : (
+          <ol className="status-history" data-testid="status-history">
+            {history.map((change) => (
+              <li key={`${change.user_id}-${change.changed_at}`}>
+                <time dateTime={change.changed_at}>
+                  {formatDate(change.changed_at, "d MMM yyyy, HH:mm")}
+                </time>
+                <span className="reader-option">
+                  {usersById[change.user_id] && (
+                    <ReaderAvatar
+                      user={usersById[change.user_id]}
+                      className="reader-avatar-xs"
+                    />
+                  )}
+                  {usersById[change.user_id]?.name || "A former reader"}
+                </span>
+                <span>→ {change.status}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </section>
+    </TabsContent>
+  );
+}
@@ -0,0 +1,425 @@
+import { useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import {
+  ArrowDown,
+  ArrowUp,
+  Edit2,
+  Hexagon,
+  Plus,
+  Search,
+  Trash2,
+  X,
+} from "lucide-react";
+import { TabsContent } from "@/components/ui/tabs";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { BookForm } from "@/components/BookForm";
+import { BookProgress } from "@/components/BookProgress";
+import { DeleteBookDialog } from "@/components/DeleteBookDialog";
+import { EditBookDialog } from "@/components/EditBookDialog";
+import { GoalDialog } from "@/components/GoalDialog";
+import { GoalWidget } from "@/components/GoalWidget";
+import { ReaderRatings } from "@/components/HexagonRating";
+import { ProgressDialog } from "@/components/ProgressDialog";
+import { useLibrary } from "@/context/LibraryContext";
+import { useDialogParam } from "@/hooks/use-dialog-param";
+import { EMPTY_BOOK_FORM } from "@/lib/book-form";
+import { coverSrc } from "@/lib/covers";
+import { currentProgress } from "@/lib/progress";
+import { useReorder } from "@/hooks/use-reorder";
+import {
+  DEFAULT_BOOK_FILTERS,
+  filterBooks,
+  hasActiveBookFilters,
+  readBookFilters,
+  readBookSort,
+  readingFor,
+  sortBooks,
+  toggleBookSort,
+  writeBookFilters,
+} from "@/lib/books";
+
+const getBookId = (book) => book.id;
+const getBookTitle = (book) => book.title;
+
+const DIALOG_PARAMS = ["book"];
+
+export function BooksPage() {
+  const {
+    books,
+    users,
+    currentUserId,
+    loading,
+    addBook,
+    updateBook,
+    reorderBooks,
+  } = useLibrary();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { dialog, openDialog, closeDialog } = useDialogParam(DIALOG_PARAMS);
+
+  // Each reader on a shared browser keeps their own sort
+  const sortKey = `booksSort:${currentUserId}`;
+  const [savedSort, setSavedSort] = useState(() => ({
+    key: sortKey,
+    sort: readBookSort(localStorage.getItem(sortKey)),
+  }));
+  if (savedSort.key !== sortKey) {
+    setSavedSort({
+      key: sortKey,
+      sort: readBookSort(localStorage.getItem(sortKey)),
+    });
+  }
+  const bookSort = savedSort.sort;
+  const setBookSort = (sort) => {
+    localStorage.setItem(sortKey, JSON.stringify(sort));
+    setSavedSort({ key: sortKey, sort });
+  };
+
+  // Book dialogs say which book they're for: ?dialog=edit&book=
+  const dialogBook = books.find((b) => b.id === searchParams.get("book"));
+  const editingBook = (dialog === "edit" && dialogBook) || null;
+  const deletingBook = (dialog === "delete" && dialogBook) || null;
+  const progressBook = (dialog === "progress" && dialogBook) || null;
+
+  const bookFilters = useMemo(
+    () => readBookFilters(searchParams),
+    [searchParams],
+  );
+  // Filters live in the query string so filtered views can be bookmarked
+  const setBookFilters = (filters) =>
+    setSearchParams(writeBookFilters(searchParams, filters), {
+      replace: true,
+    });
+
+  const visibleBooks = useMemo(
+    () =>
+      sortBooks(
+        filterBooks(books, bookFilters, currentUserId),
+        bookSort,
+        currentUserId,
+      ),
+    [books, bookFilters, bookSort, currentUserId],
+  );
+
+  // Dragging only makes sense when the table shows the whole reading queue
+  // in queue order.
+  const canReorder =
+    !loading &&
+    !hasActiveBookFilters(bookFilters) &&
+    bookSort[0].key === "number" &&
+    bookSort[0].direction === "asc";
+
+  const moveBook = (from, to) => {
+    const reordered = [...visibleBooks];
+    const [moved] = reordered.splice(from, 1);
+    reordered.splice(to, 0, moved);
+    return reorderBooks(reordered);
+  };
+
+  const reorder = useReorder({
+    items: visibleBooks,
+    getId: getBookId,
+    getLabel: getBookTitle,
+    onReorder: moveBook,
+    disabled: !canReorder,
+  });
+
+  const renderSortHeader = (key, label) => {
+    const index = bookSort.findIndex((c) => c.key === key);
+    const criterion = bookSort[index];
+    const SortIcon = criterion?.direction === "desc" ? ArrowDown : ArrowUp;
+
+    return (
+      <button
+        type="button"
+        className={`books-header-cell${index === 0 ? " sorted" : ""}`}
+        onClick={() => setBookSort(toggleBookSort(bookSort, key))}
+        aria-sort={
+          index === 0
+            ? criterion.direction === "asc"
+              ? "ascending"
+              : "descending"
+            : "none"
+        }
+        data-testid={`sort-by-${key}`}
+      >
+        {label}
+        {criterion && (
+          <SortIcon
+            className={`w-3 h-3${index > 0 ? " secondary-sort" : ""}`}
+          />
+        )}
+      </button>
+    );
+  };
+
+  const submitAddBook = async (data) => {
+    if (await addBook(data)) closeDialog();
+  };
+
+  return (
+    <TabsContent value="books" data-testid="books-content">
+      <div className="add-book-container">
+        <Dialog
+          open={dialog === "add-book"}
+          onOpenChange={(open) =>
+            open ? openDialog("add-book") : closeDialog()
+          }
+        >
+          <DialogTrigger asChild>
+            <Button className="add-btn" data-testid="add-book-btn">
+              <Plus className="w-4 h-4" /> Add Book
+            </Button>
+          </DialogTrigger>
+          <DialogContent
+            className="dialog-content"
+            data-testid="add-book-dialog"
+          >
+            <DialogHeader>
+              <DialogTitle>Add New Book</DialogTitle>
+            </DialogHeader>
+            <BookForm
+              defaultValues={EMPTY_BOOK_FORM}
+              onSubmit={submitAddBook}
+              submitLabel="Add Book"
+            />
+          </DialogContent>
+        </Dialog>
+      </div>
+
+      <EditBookDialog book={editingBook} onClose={closeDialog} />
+      <DeleteBookDialog book={deletingBook} onClose={closeDialog} />
+      <ProgressDialog book={progressBook} onClose={closeDialog} />
+      <GoalDialog open={dialog === "goal"} onClose={closeDialog} />
+
+      <GoalWidget onEdit={() => openDialog("goal")} />
+
+      {/* Search and filters */}
+      <div className="books-toolbar" data-testid="books-toolbar">
+        <div className="books-search">
+          <Search className="w-4 h-4" />
+          <Input
+            data-testid="books-search-input"
+            placeholder="Search titles..."
+            value={bookFilters.query}
+            onChange={(e) =>
+              setBookFilters({ ...bookFilters, query: e.target.value })
+            }
+          />
+        </div>
+        <Select
+          value={bookFilters.status}
+          onValueChange={(value) =>
+            setBookFilters({ ...bookFilters, status: value })
+          }
+        >
+          <SelectTrigger
+            className="books-filter"
+            data-testid="books-status-filter"
+          >
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All statuses</SelectItem>
+            <SelectItem value="To Read">To Read</SelectItem>
+            <SelectItem value="Reading">Reading</SelectItem>
+            <SelectItem value="Completed">Completed</SelectItem>
+          </SelectContent>
+        </Select>
+        <div className="books-rating-filter">
+          <Hexagon className="w-4 h-4" />
+          <Input
+            data-testid="books-min-rating-filter"
+            type="number"
+            step="0.1"
+            min="1"
+            max="10"
+            placeholder="Min"
+            value={bookFilters.minRating}
+            onChange={(e) =>
+              setBookFilters({
+                ...bookFilters,
+                minRating: e.target.value,
+              })
+            }
+          />
+          <span>–</span>
+          <Input
+            data-testid="books-max-rating-filter"
+            type="number"
+            step="0.1"
+            min="1"
+            max="10"
+            placeholder="Max"
+            value={bookFilters.maxRating}
+            onChange={(e) =>
+              setBookFilters({
+                ...bookFilters,
+                maxRating: e.target.value,
+              })
+            }
+          />
+        </div>
+        {hasActiveBookFilters(bookFilters) && (
+          <Button
+            variant="ghost"
+            size="sm"
+            className="books-filter-clear"
+            onClick={() => setBookFilters(DEFAULT_BOOK_FILTERS)}
+            data-testid="books-clear-filters"
+          >
+            <X className="w-4 h-4" /> Clear
+          </Button>
+        )}
+        {!loading && hasActiveBookFilters(bookFilters) && (
+          <span className="books-filter-count" data-testid="books-filter-count">
+            {visibleBooks.length} of {books.length}
+          </span>
+        )}
+      </div>
+
+      {/* Books table with skeleton */}
+      <div className="books-table" data-testid="books-table">
+        <div className="sr-only" aria-live="assertive">
+          {reorder.announcement}
+        </div>
+        <div className="books-header" data-testid="books-header">
+          {renderSortHeader("number", "#")}
+          {renderSortHeader("title", "Title")}
+          {renderSortHeader("status", "Status")}
+          {renderSortHeader("rating", "Rating")}
+        </div>
+        {loading ? (
+          [...Array(3)].map((_, i) => (
+            <div
+              key={i}
+              className="book-row animate-pulse rounded-2xl bg-slate-800/60 h-16"
+            />
+          ))
+        ) : visibleBooks.length === 0 && books.length > 0 ? (
+          <p className="books-empty" data-testid="books-empty">
+            No books match these filters.
+          </p>
+        ) : (
+          reorder.items.map((book, index) => (
+            <div
+              key={book.id}
+              className="book-row"
+              data-testid={`book-row-${book.number}`}
+              {...reorder.getItemProps(book)}
+            >
+              <div
+                className="book-number"
+                data-testid={`book-number-${book.number}`}
+                title={
+                  canReorder
+                    ? "Drag to reorder"
+                    : "Sort by # and clear filters to reorder"
+                }
+                {...reorder.getHandleProps(book, index)}
+              >
+                {book.number}
+              </div>
+              <div
+                className="book-title-cell"
+                data-testid={`book-title-${book.number}`}
+              >
+                {book.cover_url && (
+                  <img
+                    src={coverSrc(book.cover_url)}
+                    alt=""
+                    loading="lazy"
+                    className="book-cover-thumb"
+                  />
+                )}
+                <div>
+                  <Link to={`/books/${book.id}`} className="book-link">
+                    {book.title}
+                  </Link>
+                  {(book.authors?.length > 0 || book.year) && (
+                    <span className="book-byline">
+                      {[book.authors?.join(", "), book.year]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    </span>
+                  )}
+                  {readingFor(book, currentUserId).status === "Reading" && (
+                    <BookProgress
+                      percent={currentProgress(book, currentUserId)}
+                      onClick={() =>
+                        openDialog("progress", { params: { book: book.id } })
+                      }
+                      data-testid={`book-progress-${book.number}`}
+                    />
+                  )}
+                </div>
+              </div>
+              <div
+                className="book-status"
+                data-testid={`book-status-${book.number}`}
+              >
+                <Select
+                  value={readingFor(book, currentUserId).status}
+                  onValueChange={(value) =>
+                    updateBook(book.id, { status: value })
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="To Read">To Read</SelectItem>
+                    <SelectItem value="Reading">Reading</SelectItem>
+                    <SelectItem value="Completed">Completed</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div
+                className="book-rating"
+                data-testid={`book-rating-${book.number}`}
+              >
+                <ReaderRatings book={book} users={users} />
+              </div>
+              <div className="book-actions">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() =>
+                    openDialog("edit", { params: { book: book.id } })
+                  }
+                  data-testid={`edit-book-${book.number}`}
+                >
+                  <Edit2 className="w-4 h-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() =>
+                    openDialog("delete", { params: { book: book.id } })
+                  }
+                  data-testid={`delete-book-${book.number}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </TabsContent>
+  );
+}
@@ -0,0 +1,133 @@
+import { useMemo } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { addMonths, format, parseISO } from "date-fns";
+import { Check, ChevronLeft, ChevronRight, PenLine } from "lucide-react";
+import { TabsContent } from "@/components/ui/tabs";
+import { Button } from "@/components/ui/button";
+import { useLibrary } from "@/context/LibraryContext";
+import { today } from "@/lib/dates";
+import {
+  calendarDays,
+  monthParam,
+  readingsByDay,
+  readMonth,
+} from "@/lib/reading-calendar";
+import { readerColor } from "@/lib/users";
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+// Busier days show this many books and a count of the rest
+const ENTRIES_PER_DAY = 3;
+
+export function CalendarPage() {
+  const { books, usersById, loading } = useLibrary();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const month = readMonth(searchParams.get("month"));
+  const days = calendarDays(month);
+  const first = days[0];
+  const last = days[days.length - 1];
+  const byDay = useMemo(
+    () => readingsByDay(books, first, last),
+    [books, first, last],
+  );
+  const currentMonth = monthParam(month);
+  const todayIso = today();
+
+  const showMonth = (next) => {
+    const params = new URLSearchParams(searchParams);
+    if (monthParam(next) === monthParam(new Date())) params.delete("month");
+    else params.set("month", monthParam(next));
+    setSearchParams(params);
+  };
+
+  return (
+    <TabsContent value="calendar" data-testid="calendar-content">
+      <div className="calendar-header">
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => showMonth(addMonths(month, -1))}
+          data-testid="calendar-prev"
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </Button>
+        <h2 className="calendar-title" data-testid="calendar-title">
+          {format(month, "MMMM yyyy")}
+        </h2>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => showMonth(addMonths(month, 1))}
+          data-testid="calendar-next"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </Button>
+        {currentMonth !== monthParam(new Date()) && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => showMonth(new Date())}
+            data-testid="calendar-today"
+          >
+            Today
+          </Button>
+        )}
+      </div>
+
+      <div className="reading-calendar" data-testid="reading-calendar">
+        {WEEKDAYS.map((weekday) => (
+          <div key={weekday} className="calendar-weekday">
+            {weekday}
+          </div>
+        ))}
+        {days.map((day) => {
+          const entries = loading ? [] : byDay.get(day) || [];
+          const hidden = entries.slice(ENTRIES_PER_DAY);
+          const classes = ["calendar-day"];
+          if (!day.startsWith(currentMonth)) classes.push("outside");
+          if (day === todayIso) classes.push("today");
+          return (
+            <div
+              key={day}
+              className={classes.join(" ")}
+              data-testid={`calendar-day-${day}`}
+            >
+              <time dateTime={day}>{format(parseISO(day), "d")}</time>
+              {entries.slice(0, ENTRIES_PER_DAY).map((entry) => (
+                <Link
+                  key={`${entry.book.id}:${entry.userId}`}
+                  to={`/books/${entry.book.id}`}
+                  className="calendar-entry"
+                  style={{
+                    "--reader-color": readerColor(usersById[entry.userId]),
+                  }}
+                  title={`${usersById[entry.userId]?.name || "A reader"}: ${
+                    entry.book.title
+                  }`}
+                >
+                  {entry.finished && <Check className="w-3 h-3" />}
+                  {entry.logged && !entry.finished && (
+                    <PenLine className="w-3 h-3" />
+                  )}
+                  <span>{entry.book.title}</span>
+                </Link>
+              ))}
+              {hidden.length > 0 && (
+                <span
+                  className="calendar-more"
+                  title={hidden.map((entry) => entry.book.title).join("\n")}
+                >
+                  +{hidden.length} more
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <p className="calendar-legend">
+        <Check className="w-3 h-3" /> finished
+        <PenLine className="w-3 h-3" /> progress logged
+      </p>
+    </TabsContent>
+  );
+}
@@ -0,0 +1,365 @@
+import { useEffect, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import { Check, ChevronDown, Edit2, Link2, Trash2, X } from "lucide-react";
+import { toast } from "sonner";
+import { TabsContent } from "@/components/ui/tabs";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Collapsible,
+  CollapsibleContent,
+  CollapsibleTrigger,
+} from "@/components/ui/collapsible";
+import { DiscussionEditor } from "@/components/DiscussionEditor";
+import { Markdown } from "@/components/Markdown";
+import { QuoteExportMenu } from "@/components/QuoteExportMenu";
+import { ReaderAvatar } from "@/components/ReaderAvatar";
+import { useLibrary } from "@/context/LibraryContext";
+import { useDialogParam } from "@/hooks/use-dialog-param";
+import { coverSrc } from "@/lib/covers";
+import { readerColor } from "@/lib/users";
+
+export function QuotesPage() {
+  const {
+    books,
+    booksWithQuotes,
+    getQuotesForBook,
+    usersById,
+    currentUser,
+    loading,
+    addQuote,
+    updateQuote,
+    deleteQuote,
+  } = useLibrary();
+  const { bookId } = useParams();
+  const [searchParams] = useSearchParams();
+  const linkedQuoteId = searchParams.get("quote");
+  const { dialog, openDialog, closeDialog } = useDialogParam();
+
+  const [quoteForm, setQuoteForm] = useState({
+    text: "",
+    discussion: "",
+  });
+  const [editingQuote, setEditingQuote] = useState(null);
+
+  const selectedBook = bookId
+    ? booksWithQuotes.find((entry) => entry.book_id === bookId) || null
+    : null;
+  const addingTo = dialog === "add-quote" ? selectedBook : null;
+
+  // Bring a linked book's card, or a single quote in it, into view
+  useEffect(() => {
+    if (loading || !bookId) return;
+    const target =
+      (linkedQuoteId && document.getElementById(`quote-${linkedQuoteId}`)) ||
+      document.getElementById(`quotes-${bookId}`);
+    target?.scrollIntoView({ block: "center", behavior: "smooth" });
+  }, [bookId, linkedQuoteId, loading]);
+
+  const submitAddQuote = async () => {
+    if (!quoteForm.text.trim()) {
+      toast.error("Quote text is required");
+      return;
+    }
+    if (!(await addQuote(addingTo, quoteForm))) return;
+    setQuoteForm({ text: "", discussion: "" });
+    closeDialog();
+  };
+
+  const startEditQuote = (quote) => {
+    setEditingQuote({
+      id: quote.id,
+      text: quote.text,
+      discussion: quote.discussion,
+    });
+  };
+
+  const isEditingQuote = (quote) =>
+    editingQuote !== null && editingQuote.id === quote.id;
+
+  const submitEditQuote = async () => {
+    if (!editingQuote.text.trim()) {
+      toast.error("Quote text is required");
+      return;
+    }
+    const { id, text, discussion } = editingQuote;
+    setEditingQuote(null);
+    const saved = await updateQuote(id, { text, discussion });
+    // Reopen the editor with the unsaved changes so nothing is lost
+    if (!saved) setEditingQuote(editingQuote);
+  };
+
+  // Cards of books with a cover show it faded in behind the quotes
+  const coverStyle = (entry) => {
+    const cover = books.find((b) => b.id === entry.book_id)?.cover_url;
+    return cover
+      ? { "--cover-image": `url(${JSON.stringify(coverSrc(cover))})` }
+      : undefined;
+  };
+
+  const confirmDeleteQuote = (quoteId) => {
+    if (!window.confirm("Delete this quote?")) return;
+    deleteQuote(quoteId);
+  };
+
+  return (
+    <TabsContent value="quotes" data-testid="quotes-content">
+      <div className="quotes-section">
+        <Dialog
+          open={addingTo !== null}
+          onOpenChange={(open) => !open && closeDialog()}
+        >
+          <DialogContent
+            className="dialog-content"
+            data-testid="add-quote-dialog"
+          >
+            <DialogHeader>
+              <DialogTitle>Add Quote to {addingTo?.book_title}</DialogTitle>
+            </DialogHeader>
+            <div className="space-y-4">
+              <p className="reader-option dialog-hint" data-testid="quote-user">
+                <ReaderAvatar
+                  user={usersById[currentUser.id] || currentUser}
+                  className="reader-avatar-sm"
+                />
+                Quoting as {currentUser.name}
+              </p>
+              <Textarea
+                data-testid="quote-text-input"
+                placeholder="Enter your favorite quote..."
+                value={quoteForm.text}
+                onChange={(e) =>
+                  setQuoteForm({
+                    ...quoteForm,
+                    text: e.target.value,
+                  })
+                }
+                rows={4}
+              />
+              <DiscussionEditor
+                inputTestId="quote-discussion-input"
+                placeholder="Add your thoughts, discussions, or findings... (You can use markdown: **bold**, *italic*, - lists, 1. numbered lists)"
+                value={quoteForm.discussion}
+                onChange={(discussion) =>
+                  setQuoteForm({ ...quoteForm, discussion })
+                }
+                rows={8}
+              />
+              <Button
+                onClick={submitAddQuote}
+                className="w-full"
+                data-testid="submit-quote-btn"
+              >
+                Add Quote
+              </Button>
+            </div>
+          </DialogContent>
+        </Dialog>
+
+        <div className="quotes-toolbar">
+          <QuoteExportMenu entries={booksWithQuotes} />
+        </div>
+
+        <div className="quotes-grid" data-testid="quotes-grid">
+          {loading
+            ? [...Array(3)].map((_, i) => (
+                <div
+                  key={i}
+                  className="quote-book-card animate-pulse rounded-2xl bg-slate-800/60 h-32"
+                />
+              ))
+            : booksWithQuotes.map((entry) => (
+                <div
+                  key={entry.book_id || entry.book_title}
+                  id={entry.book_id ? `quotes-${entry.book_id}` : undefined}
+                  className={`quote-book-card${
+                    entry.book_id && entry.book_id === bookId ? " selected" : ""
+                  }${coverStyle(entry) ? " has-cover" : ""}`}
+                  style={coverStyle(entry)}
+                  onClick={() => {
+                    if (!entry.book_id) return;
+                    openDialog("add-quote", {
+                      pathname: `/quotes/${entry.book_id}`,
+                    });
+                  }}
+                  data-testid={`quote-book-card-${entry.book_title}`}
+                >
+                  <div className="quote-card-header">
+                    <h3>
+                      {entry.book_id ? (
+                        <Link
+                          to={`/books/${entry.book_id}`}
+                          className="book-link"
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          {entry.book_title}
+                        </Link>
+                      ) : (
+                        entry.book_title
+                      )}
+                    </h3>
+                    {entry.book_id && (
+                      <QuoteExportMenu
+                        entries={[entry]}
+                        bookId={entry.book_id}
+                        compact
+                      />
+                    )}
+                  </div>
+                  <p>
+                    {getQuotesForBook(entry).length} quotes
+                    {!entry.book_id && " · orphaned"}
+                  </p>
+
+                  <div
+                    className="quotes-list"
+                    onClick={(e) => e.stopPropagation()}
+                  >
+                    {getQuotesForBook(entry).map((quote, idx) => (
+                      <Collapsible
+                        key={quote.id}
+                        id={`quote-${quote.id}`}
+                        className={`quote-item${
+                          quote.id === linkedQuoteId ? " selected" : ""
+                        }`}
+                        defaultOpen={quote.id === linkedQuoteId}
+                        data-testid={`quote-item-${idx}`}
+                      >
+                        {isEditingQuote(quote) ? (
+                          <div
+                            className="quote-edit-form"
+                            data-testid={`quote-edit-form-${idx}`}
+                          >
+                            <Textarea
+                              data-testid={`edit-quote-text-${idx}`}
+                              value={editingQuote.text}
+                              onChange={(e) =>
+                                setEditingQuote({
+                                  ...editingQuote,
+                                  text: e.target.value,
+                                })
+                              }
+                              rows={3}
+                            />
+                            <DiscussionEditor
+                              inputTestId={`edit-quote-discussion-${idx}`}
+                              testIdPrefix={`edit-${idx}-`}
+                              placeholder="Discussion (markdown supported)"
+                              value={editingQuote.discussion}
+                              onChange={(discussion) =>
+                                setEditingQuote({
+                                  ...editingQuote,
+                                  discussion,
+                                })
+                              }
+                              rows={6}
+                            />
+                            <div className="quote-actions">
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => setEditingQuote(null)}
+                                data-testid={`cancel-edit-quote-${idx}`}
+                              >
+                                <X className="w-4 h-4" /> Cancel
+                              </Button>
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={submitEditQuote}
+                                data-testid={`save-quote-${idx}`}
+                              >
+                                <Check className="w-4 h-4" /> Save
+                              </Button>
+                            </div>
+                          </div>
+                        ) : (
+                          <div className="quote-display">
+                            {usersById[quote.user_id] && (
+                              <ReaderAvatar
+                                user={usersById[quote.user_id]}
+                                className="reader-avatar-sm"
+                              />
+                            )}
+                            <div
+                              className="quote-text"
+                              style={{
+                                "--reader-color": readerColor(
+                                  usersById[quote.user_id],
+                                ),
+                              }}
+                              data-testid={`quote-text-${idx}`}
+                            >
+                              "{quote.text}"
+                            </div>
+                            {entry.book_id && quote.text && (
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                className="quote-edit-btn"
+                                asChild
+                              >
+                                <Link
+                                  to={`/quotes/${entry.book_id}?quote=${quote.id}`}
+                                  title="Link to this quote"
+                                  data-testid={`quote-link-${idx}`}
+                                >
+                                  <Link2 className="w-4 h-4" />
+                                </Link>
+                              </Button>
+                            )}
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              className="quote-edit-btn"
+                              onClick={() => startEditQuote(quote)}
+                              data-testid={`edit-quote-${idx}`}
+                            >
+                              <Edit2 className="w-4 h-4" />
+                            </Button>
+                          </div>
+                        )}
+
+                        {quote.discussion && !isEditingQuote(quote) && (
+                          <CollapsibleTrigger
+                            className="discussion-toggle"
+                            data-testid={`discussion-toggle-${idx}`}
+                          >
+                            <ChevronDown className="w-4 h-4" />
+                            Discussion
+                          </CollapsibleTrigger>
+                        )}
+
+                        <CollapsibleContent
+                          className="discussion-content"
+                          data-testid={`discussion-content-${idx}`}
+                        >
+                          <Markdown
+                            source={quote.discussion}
+                            className="discussion-text"
+                          />
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => confirmDeleteQuote(quote.id)}
+                            data-testid={`delete-quote-${idx}`}
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </Button>
+                        </CollapsibleContent>
+                      </Collapsible>
+                    ))}
+                  </div>
+                </div>
+              ))}
+        </div>
+      </div>
+    </TabsContent>
+  );
+}
@@ -0,0 +1,96 @@
+import { useMemo } from "react";
+import { Link, useParams } from "react-router-dom";
+import { ArrowLeft, Printer } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Markdown } from "@/components/Markdown";
+import { useLibrary } from "@/context/LibraryContext";
+import { formatDate } from "@/lib/dates";
+import { quoteGroups } from "@/lib/quote-export";
+
+// Every quote, or one book's, laid out as a commonplace book for printing
+// or saving as a PDF. The print styles drop everything around the page.
+export function QuotesPrintPage() {
+  const { books, booksWithQuotes, getQuotesForBook, usersById, loading } =
+    useLibrary();
+  const { bookId } = useParams();
+
+  const groups = useMemo(
+    () =>
+      quoteGroups(
+        bookId
+          ? booksWithQuotes.filter((entry) => entry.book_id === bookId)
+          : booksWithQuotes,
+        getQuotesForBook,
+        books,
+      ),
+    [bookId, booksWithQuotes, getQuotesForBook, books],
+  );
+  const single = bookId ? groups[0] : null;
+
+  return (
+    <div className="commonplace" data-testid="quotes-print">
+      <div className="print-toolbar">
+        <Button variant="ghost" className="readers-btn" asChild>
+          <Link to={bookId ? `/quotes/${bookId}` : "/quotes"}>
+            <ArrowLeft className="w-4 h-4" /> Back to quotes
+          </Link>
+        </Button>
+        <Button
+          className="add-btn"
+          onClick={() => window.print()}
+          disabled={loading || groups.length === 0}
+          data-testid="print-quotes-btn"
+        >
+          <Printer className="w-4 h-4" /> Print or save as PDF
+        </Button>
+      </div>
+
+      <article className="commonplace-page">
+        <header className="commonplace-header">
+          <h1>{single ? single.title : "Commonplace Book"}</h1>
+          {single?.authors.length > 0 && (
+            <p className="commonplace-authors">
+              by {single.authors.join(", ")}
+            </p>
+          )}
+          <p className="commonplace-date">
+            {formatDate(new Date().toISOString())}
+          </p>
+        </header>
+
+        {!loading && groups.length === 0 && (
+          <p className="commonplace-empty">No quotes to print yet.</p>
+        )}
+        {groups.map((group) => (
+          <section key={group.key} className="commonplace-book">
+            {!single && (
+              <>
+                <h2>{group.title}</h2>
+                {group.authors.length > 0 && (
+                  <p className="commonplace-authors">
+                    by {group.authors.join(", ")}
+                  </p>
+                )}
+              </>
+            )}
+            {group.quotes.map((quote) => (
+              <figure key={quote.id} className="commonplace-quote">
+                <blockquote>{quote.text}</blockquote>
+                <figcaption>
+                  — {usersById[quote.user_id]?.name || "Unknown reader"},{" "}
+                  {formatDate(quote.created_at)}
+                </figcaption>
+                {quote.discussion && (
+                  <Markdown
+                    source={quote.discussion}
+                    className="commonplace-discussion"
+                  />
+                )}
+              </figure>
+            ))}
+          </section>
+        ))}
+      </article>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import { useMemo } from "react";
+import { TabsContent } from "@/components/ui/tabs";
+import { BarChart, HorizontalBarChart } from "@/components/BarChart";
+import { useLibrary } from "@/context/LibraryContext";
+import { BOOK_STATUSES, readingFor } from "@/lib/books";
+import {
+  averageRatingByReader,
+  averageRatingByStatus,
+  finishedByMonth,
+  finishedByYear,
+  finishedReadings,
+  pagesByMonth,
+  quotesPerBook,
+  readingStreaks,
+} from "@/lib/stats";
+import { readerColor } from "@/lib/users";
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+function ChartCard({ title, children, empty }) {
+  return (
+    <section className="chart-card">
+      <h3>{title}</h3>
+      {empty ? <p className="books-empty">{empty}</p> : children}
+    </section>
+  );
+}
+
+export function StatsPage() {
+  const { books, quotes, users, currentUserId, loading } = useLibrary();
+
+  const charts = useMemo(() => {
+    const finished = finishedReadings(books);
+    return {
+      finished,
+      byMonth: finishedByMonth(finished, users),
+      byYear: finishedByYear(finished, users),
+      pages: pagesByMonth(finished, users),
+      ratingByStatus: averageRatingByStatus(books),
+      ratingByReader: averageRatingByReader(books, users),
+      quotesPerBook: quotesPerBook(books, quotes),
+      streaks: users.map((user) => ({
+        user,
+        ...readingStreaks(books, user.id),
+      })),
+    };
+  }, [books, quotes, users]);
+
+  const pagesRead = charts.finished.reduce(
+    (sum, f) => sum + (f.book.pages || 0),
+    0,
+  );
+  const stats = [
+    { label: "Books", value: books.length },
+    ...BOOK_STATUSES.map((status) => ({
+      label: status,
+      value: books.filter(
+        (book) => readingFor(book, currentUserId).status === status,
+      ).length,
+    })),
+    // Blank quotes are only placeholders for a book's card
+    { label: "Quotes", value: quotes.filter((q) => q.text).length },
+    { label: "Pages read", value: pagesRead.toLocaleString() },
+  ];
+
+  return (
+    <TabsContent value="stats" data-testid="stats-content">
+      <div className="stats-grid">
+        {stats.map(({ label, value }) => (
+          <div key={label} className="stat-card">
+            <div className="stat-value">{loading ? "–" : value}</div>
+            <div className="stat-label">{label}</div>
+          </div>
+        ))}
+      </div>
+
+      {!loading && (
+        <div className="charts-grid" data-testid="stats-charts">
+          <ChartCard title="Finished per month">
+            <BarChart bars={charts.byMonth} label="Books finished per month" />
+          </ChartCard>
+          <ChartCard title="Finished per year">
+            <BarChart bars={charts.byYear} label="Books finished per year" />
+          </ChartCard>
+          <ChartCard
+            title="Pages read per month"
+            empty={
+              pagesRead === 0 && "Add page counts to books to see pages read."
+            }
+          >
+            <BarChart bars={charts.pages} label="Pages read per month" />
+          </ChartCard>
+          <ChartCard title="Average rating by status">
+            <BarChart
+              bars={charts.ratingByStatus}
+              label="Average rating by status"
+              max={10}
+              formatValue={(value) => value.toFixed(1)}
+            />
+          </ChartCard>
+          <ChartCard title="Average rating by reader">
+            <BarChart
+              bars={charts.ratingByReader}
+              label="Average rating by reader"
+              max={10}
+              formatValue={(value) => value.toFixed(1)}
+            />
+          </ChartCard>
+          <ChartCard
+            title="Reading streaks"
+            empty={
+              charts.streaks.every((s) => s.days === 0) &&
+              "Log progress on consecutive days to build a streak."
+            }
+          >
+            <ul className="streak-list" data-testid="reading-streaks">
+              {charts.streaks.map(({ user, current, longest }) => (
+                <li
+                  key={user.id}
+                  style={{ "--reader-color": readerColor(user) }}
+                >
+                  <span className="streak-reader">{user.name}</span>
+                  <span>{plural(current, "day")} now</span>
+                  <span className="streak-longest">
+                    best {plural(longest, "day")}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </ChartCard>
+          <ChartCard
+            title="Quotes per book"
+            empty={charts.quotesPerBook.length === 0 && "No quotes yet."}
+          >
+            <HorizontalBarChart
+              bars={charts.quotesPerBook}
+              label="Quotes per book"
+            />
+          </ChartCard>
+        </div>
+      )}
+      {!loading && users.length > 1 && (
+        <p className="chart-legend">
+          {users.map((user) => (
+            <span
+              key={user.id}
+              style={{ "--reader-color": readerColor(user) }}
+            >
+              {user.name}
+            </span>
+          ))}
+        </p>
+      )}
+    </TabsContent>
+  );
+}
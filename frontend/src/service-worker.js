@@ -0,0 +1,49 @@
+/* eslint-disable no-restricted-globals */
+
+// Built by CRA's InjectManifest step: `self.__WB_MANIFEST` is replaced with
+// the list of files in the production build.
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { NetworkFirst } from "workbox-strategies";
+import { API_CACHE } from "@/lib/offline";
+
+clientsClaim();
+
+// App shell
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for any navigation that isn't for a file, so deep links
+// keep working offline.
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (fileExtensionRegexp.test(url.pathname)) return false;
+  return true;
+}, createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`));
+
+// The book and quote lists are read from the network when possible and from
+// the last good response otherwise. Mutations are never cached; the app
+// queues those itself.
+registerRoute(
+  ({ url }) => /\/api\/(books|quotes)\/?$/.test(url.pathname),
+  new NetworkFirst({
+    cacheName: API_CACHE,
+    networkTimeoutSeconds: 5,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 20 }),
+    ],
+  }),
+);
+
+// Lets the page activate a waiting update without closing every tab
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
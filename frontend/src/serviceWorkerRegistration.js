@@ -0,0 +1,82 @@
+// Registers the service worker in src/service-worker.js. It only runs in
+// production builds; in development it would serve stale bundles.
+
+const isLocalhost = Boolean(
+  window.location.hostname === "localhost" ||
+    window.location.hostname === "[::1]" ||
+    /^127(?:\.(?:25[0-5]|2[0-4]\d|[01]?\d?\d)){3}$/.test(
+      window.location.hostname,
+    ),
+);
+
+export function register(config = {}) {
+  if (process.env.NODE_ENV !== "production") return;
+  if (!("serviceWorker" in navigator)) return;
+
+  // The worker can't control pages outside PUBLIC_URL's origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl, config);
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  });
+}
+
+function registerValidSW(swUrl, config) {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then((registration) => {
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (!installingWorker) return;
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== "installed") return;
+          // With a controller already in place this is an update waiting to
+          // take over; otherwise the app shell has just been cached.
+          if (navigator.serviceWorker.controller) {
+            config.onUpdate?.(registration);
+          } else {
+            config.onSuccess?.(registration);
+          }
+        };
+      };
+    })
+    .catch((error) => {
+      console.error("Error during service worker registration:", error);
+    });
+}
+
+// On localhost, make sure the file is really a service worker and not a
+// leftover from another app on the same port.
+function checkValidServiceWorker(swUrl, config) {
+  fetch(swUrl, { headers: { "Service-Worker": "script" } })
+    .then((response) => {
+      const contentType = response.headers.get("content-type");
+      if (
+        response.status === 404 ||
+        (contentType && !contentType.includes("javascript"))
+      ) {
+        navigator.serviceWorker.ready.then((registration) =>
+          registration.unregister().then(() => window.location.reload()),
+        );
+      } else {
+        registerValidSW(swUrl, config);
+      }
+    })
+    .catch(() => {
+      console.log("No internet connection. App is running in offline mode.");
+    });
+}
+
+export function unregister() {
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => console.error(error.message));
+  }
+}